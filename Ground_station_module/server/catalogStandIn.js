@@ -0,0 +1,140 @@
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseCatalogFile, tleToOmm } from '../src/catalogImport.js';
+import { DEBRIS_CATALOG } from '../src/debrisCatalog.js';
+
+/**
+ * Catalog Stand-In Server
+ * A small local server answering the space-track.org basicspacedata query
+ * API from catalog files, for planning without network access. Every element
+ * set in the files is kept: class gp answers with each object's newest set,
+ * class gp_history with all of them. With no files it serves the built-in
+ * catalog.
+ *
+ * Usage: node server/catalogStandIn.js [--port=8787] [catalog files...]
+ * Query: GET /basicspacedata/query/class/gp/NORAD_CAT_ID/25544/format/json
+ *   Predicates take a value, a comma list, a range "a--b" or ">x", "<x", "<>x".
+ *   orderby (field [asc|desc]), limit and format (json, tle, 3le) are supported.
+ */
+
+const DEFAULT_PORT = 8787;
+const QUERY_PREFIX = '/basicspacedata/query/';
+const CLASSES = ['gp', 'gp_history'];
+const CONTROLS = ['class', 'orderby', 'limit', 'format', 'emptyresult', 'metadata', 'predicates'];
+
+// Every element set from the files, or the built-in catalog, as OMM records
+function loadRecords(files) {
+  if (files.length === 0) return DEBRIS_CATALOG.map(tleToOmm);
+  return files.flatMap(file => {
+    const { entries, rejected } = parseCatalogFile(readFileSync(file, 'utf8'), basename(file));
+    rejected.forEach(object => console.warn(`${basename(file)}: skipped ${object.name}: ${object.errors.join('; ')}`));
+    return entries.map(tleToOmm);
+  });
+}
+
+// Each object's element set with the latest epoch
+function newestPerObject(records) {
+  const newest = new Map();
+  records.forEach(record => {
+    const current = newest.get(record.NORAD_CAT_ID);
+    if (!current || record.EPOCH > current.EPOCH) newest.set(record.NORAD_CAT_ID, record);
+  });
+  return [...newest.values()];
+}
+
+// Numbers compare as numbers, everything else (including ISO epochs) as text
+function compare(a, b) {
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(numberA) && !Number.isNaN(numberB)) return numberA - numberB;
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Test for one predicate value in the query syntax
+ * @param {string} expression - e.g. "25544", "25544,25545", "11.25--17", ">2023-11-01"
+ * @returns {function} - record value => boolean
+ */
+function predicate(expression) {
+  if (expression.startsWith('<>')) return value => compare(value, expression.slice(2)) !== 0;
+  if (expression.startsWith('>')) return value => compare(value, expression.slice(1)) > 0;
+  if (expression.startsWith('<')) return value => compare(value, expression.slice(1)) < 0;
+  if (expression.includes('--')) {
+    const [min, max] = expression.split('--');
+    return value => compare(value, min) >= 0 && compare(value, max) <= 0;
+  }
+  const values = expression.split(',');
+  return value => values.some(candidate => compare(value, candidate) === 0);
+}
+
+/**
+ * Answer one query path
+ * @param {string} path - Segments after /basicspacedata/query/
+ * @param {Array} records - All OMM records
+ * @returns {object} - { status, contentType, body }
+ */
+function answer(path, records) {
+  const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+  if (segments.length % 2 !== 0) {
+    return { status: 400, contentType: 'application/json', body: JSON.stringify({ error: 'Query segments must come in name/value pairs' }) };
+  }
+  const query = {};
+  const filters = [];
+  for (let i = 0; i < segments.length; i += 2) {
+    const name = segments[i];
+    if (CONTROLS.includes(name.toLowerCase())) {
+      query[name.toLowerCase()] = segments[i + 1];
+    } else {
+      filters.push([name.toUpperCase(), predicate(segments[i + 1])]);
+    }
+  }
+  if (!CLASSES.includes(query.class)) {
+    return { status: 400, contentType: 'application/json', body: JSON.stringify({ error: `class must be one of ${CLASSES.join(', ')}` }) };
+  }
+
+  let results = (query.class === 'gp' ? newestPerObject(records) : records)
+    .filter(record => filters.every(([field, test]) => record[field] !== undefined && record[field] !== null && test(record[field])));
+  const [orderField, direction] = (query.orderby || 'NORAD_CAT_ID asc').split(/\s+/);
+  results = results.sort((a, b) => (direction === 'desc' ? -1 : 1) * compare(a[orderField.toUpperCase()], b[orderField.toUpperCase()]));
+  if (query.limit) results = results.slice(0, Number(query.limit));
+
+  switch ((query.format || 'json').toLowerCase()) {
+    case 'tle':
+      return { status: 200, contentType: 'text/plain', body: results.map(r => `${r.TLE_LINE1}\n${r.TLE_LINE2}`).join('\n') };
+    case '3le':
+      return { status: 200, contentType: 'text/plain', body: results.map(r => `${r.TLE_LINE0}\n${r.TLE_LINE1}\n${r.TLE_LINE2}`).join('\n') };
+    default:
+      return { status: 200, contentType: 'application/json', body: JSON.stringify(results) };
+  }
+}
+
+const args = process.argv.slice(2);
+const port = Number(args.find(arg => arg.startsWith('--port='))?.slice('--port='.length)) || DEFAULT_PORT;
+const files = args.filter(arg => !arg.startsWith('--'));
+const records = loadRecords(files);
+
+const server = http.createServer((request, response) => {
+  // The planner runs on another origin during development
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  const url = new URL(request.url, `http://localhost:${port}`);
+  let result;
+  if (request.method === 'OPTIONS') {
+    result = { status: 204, contentType: 'text/plain', body: '' };
+  } else if (url.pathname === '/ajaxauth/login') {
+    // Clients written for space-track log in first; any credentials are accepted
+    result = { status: 200, contentType: 'application/json', body: '""' };
+  } else if (request.method === 'GET' && url.pathname.startsWith(QUERY_PREFIX)) {
+    result = answer(url.pathname.slice(QUERY_PREFIX.length), records);
+  } else {
+    result = { status: 404, contentType: 'application/json', body: JSON.stringify({ error: `No route for ${request.method} ${url.pathname}` }) };
+  }
+  console.log(`${request.method} ${url.pathname} ${result.status}`);
+  response.writeHead(result.status, { 'Content-Type': result.contentType });
+  response.end(result.body);
+});
+
+server.listen(port, () => {
+  const objects = newestPerObject(records).length;
+  console.log(`Catalog stand-in serving ${records.length} element sets of ${objects} objects at http://localhost:${port}${QUERY_PREFIX}`);
+});
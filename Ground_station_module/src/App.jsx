@@ -1,11 +1,24 @@
 import React, { useState } from 'react';
 import GroundStationMap from './map.jsx';
 import MissionPlanner from './MissionPlanner.jsx';
+import StationPanel from './StationPanel.jsx';
+import PlacementOptimizer from './PlacementOptimizer.jsx';
+import { defaultStartEpoch, DEFAULT_HORIZON_DAYS } from './scenarioClock.js';
+import { DEBRIS_CATALOG } from './debrisCatalog.js';
+import { withEstimatedProperties } from './debrisProperties.js';
 
 export default function App() {
   const [stations, setStations] = useState([]);
+  const [catalog, setCatalog] = useState(() => DEBRIS_CATALOG.map(withEstimatedProperties));
   const [selectedDebris, setSelectedDebris] = useState(null);
   const [missionResults, setMissionResults] = useState(null);
+  const [placement, setPlacement] = useState(null);
+  const [scenario, setScenario] = useState(() => ({
+    startEpoch: defaultStartEpoch(),
+    horizonDays: DEFAULT_HORIZON_DAYS
+  }));
+
+  const activeStations = stations.filter(station => station.active);
 
   return (
     <div style={{ display: 'flex', flexDirection: 'column', width: '100%', height: '100vh', background: 'transparent', position: 'relative', zIndex: 1 }}>
@@ -32,22 +45,43 @@ export default function App() {
           <div style={{ padding: '15px', background: 'rgba(15, 23, 42, 0.8)', color: '#e0e7ff', borderBottom: '1px solid rgba(30, 58, 138, 0.5)' }}>
             <h2 style={{ margin: 0, fontSize: '18px', color: '#a5b4fc' }}>Ground Station Network</h2>
             <p style={{ margin: '5px 0 0 0', fontSize: '13px', opacity: 0.7, color: '#c7d2fe' }}>
-              Click map to place stations (max 5) • {stations.length}/5 active
+              Click map, enter coordinates or load a network • {activeStations.length}/{stations.length} active
             </p>
           </div>
           <div style={{ flex: 1 }}>
-            <GroundStationMap stations={stations} setStations={setStations} />
+            <GroundStationMap
+              stations={stations}
+              setStations={setStations}
+              selectedDebris={selectedDebris}
+              scenario={scenario}
+              placement={placement}
+              missionResults={missionResults}
+            />
           </div>
+          <StationPanel stations={stations} setStations={setStations} />
+          <PlacementOptimizer
+            stations={activeStations}
+            catalog={catalog}
+            onAddStations={(added) => setStations([...stations, ...added])}
+            scenario={scenario}
+            selectedDebris={selectedDebris}
+            placement={placement}
+            setPlacement={setPlacement}
+          />
         </div>
 
         {/* Right Panel - Mission Planner */}
         <div style={{ width: '450px', display: 'flex', flexDirection: 'column', background: 'rgba(10, 14, 26, 0.8)', backdropFilter: 'blur(10px)' }}>
           <MissionPlanner 
-            stations={stations}
+            stations={activeStations}
+            catalog={catalog}
+            setCatalog={setCatalog}
             selectedDebris={selectedDebris}
             setSelectedDebris={setSelectedDebris}
             missionResults={missionResults}
             setMissionResults={setMissionResults}
+            scenario={scenario}
+            setScenario={setScenario}
           />
         </div>
       </div>
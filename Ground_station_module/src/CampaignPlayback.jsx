@@ -0,0 +1,179 @@
+import React, { useEffect } from 'react';
+
+// Playback speeds in simulated seconds per real second
+const PLAYBACK_SPEEDS = [
+  { label: '1 min/s', value: 60 },
+  { label: '10 min/s', value: 600 },
+  { label: '1 h/s', value: 3600 },
+  { label: '6 h/s', value: 21600 },
+  { label: '1 day/s', value: 86400 }
+];
+const PLAYBACK_TICK_MS = 100;
+const PASS_SPEED = 30; // Engagements are slowed to this so they stay visible
+const RE_ENTRY_PERIGEE_KM = 200;
+
+/**
+ * Campaign state at an instant of the playback. Within a pass, perigee and
+ * temperature rise are interpolated linearly from the pass's start to its end.
+ * @param {object} results - Mission results with timeline and debris
+ * @param {number} timeMs - Playback time in milliseconds
+ * @returns {object} - { activePass, passesFlown, perigee, tempRise, firingBeams }
+ *   where firingBeams are the stations of the active pass firing at this instant
+ */
+export function campaignStateAt(results, timeMs) {
+  const { timeline } = results;
+  let index = -1;
+  for (let i = 0; i < timeline.length && timeline[i].start.getTime() <= timeMs; i++) index = i;
+
+  if (index === -1) {
+    return { activePass: null, passesFlown: 0, perigee: results.debris.perigee, tempRise: 0, firingBeams: [] };
+  }
+
+  const pass = timeline[index];
+  const startMs = pass.start.getTime();
+  const endMs = pass.end.getTime();
+  if (timeMs < endMs) {
+    const fraction = (timeMs - startMs) / (endMs - startMs);
+    return {
+      activePass: pass,
+      passesFlown: index,
+      perigee: pass.perigeeBefore + (pass.perigeeAfter - pass.perigeeBefore) * fraction,
+      tempRise: pass.tempRise * fraction,
+      firingBeams: pass.beams.filter(beam => beam.firing.some(([start, end]) => start <= timeMs && timeMs < end))
+    };
+  }
+  // Between passes the target has cooled down again
+  return { activePass: null, passesFlown: index + 1, perigee: pass.perigeeAfter, tempRise: 0, firingBeams: [] };
+}
+
+/**
+ * End of the playback: the last pass flown, or the scenario end when none was
+ * @param {object} results - Mission results
+ * @returns {number} - Milliseconds
+ */
+export function playbackEndMs(results) {
+  const last = results.timeline[results.timeline.length - 1];
+  return last ? last.end.getTime() : new Date(results.scenarioEnd).getTime();
+}
+
+// Timeline scrubber, play controls and campaign readout for briefings
+export default function CampaignPlayback({ results, timeMs, setTimeMs, playing, setPlaying, speed, setSpeed }) {
+  const startMs = new Date(results.scenarioStart).getTime();
+  const endMs = playbackEndMs(results);
+  const state = campaignStateAt(results, timeMs);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    const timer = setInterval(() => {
+      setTimeMs(prev => {
+        const stepSpeed = campaignStateAt(results, prev).activePass ? Math.min(speed, PASS_SPEED) : speed;
+        let next = prev + stepSpeed * PLAYBACK_TICK_MS;
+        // Never jump over the start of an engagement at high speed
+        const upcoming = results.timeline.find(pass => pass.start.getTime() > prev);
+        if (upcoming && next > upcoming.start.getTime()) next = upcoming.start.getTime();
+        if (next >= endMs) {
+          setPlaying(false);
+          return endMs;
+        }
+        return next;
+      });
+    }, PLAYBACK_TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, results, endMs]);
+
+  const jumpToPass = (direction) => {
+    const passes = results.timeline;
+    const target = direction > 0
+      ? passes.find(pass => pass.start.getTime() > timeMs + 1000)
+      : [...passes].reverse().find(pass => pass.start.getTime() < timeMs - 1000);
+    setTimeMs(target ? target.start.getTime() : (direction > 0 ? endMs : startMs));
+  };
+
+  const perigeeProgress = (results.debris.perigee - state.perigee) / (results.debris.perigee - RE_ENTRY_PERIGEE_KM);
+
+  return (
+    <div style={panelStyle}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <button onClick={() => jumpToPass(-1)} style={buttonStyle} title="Previous pass">⏮</button>
+        <button onClick={() => setPlaying(!playing)} style={buttonStyle}>{playing ? '⏸' : '▶'}</button>
+        <button onClick={() => jumpToPass(1)} style={buttonStyle} title="Next pass">⏭</button>
+        <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} style={{ fontSize: '12px' }}>
+          {PLAYBACK_SPEEDS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="range"
+          min={startMs}
+          max={endMs}
+          step={1000}
+          value={timeMs}
+          onChange={(e) => setTimeMs(Number(e.target.value))}
+          style={{ flex: 1 }}
+        />
+      </div>
+
+      <div style={{ display: 'flex', gap: '14px', marginTop: '6px', flexWrap: 'wrap' }}>
+        <span>{new Date(timeMs).toISOString().slice(0, 19).replace('T', ' ')} UTC</span>
+        <span>Day {((timeMs - startMs) / 86400000).toFixed(1)}</span>
+        <span>Passes {state.passesFlown}/{results.timeline.length}</span>
+        {state.activePass
+          ? (
+            <span style={{ color: '#f87171' }}>
+              {state.firingBeams.length > 0
+                ? `Firing from ${state.firingBeams.map(beam => beam.stationName).join(' + ')}`
+                : 'Tracking'} (pass {state.activePass.passNumber})
+            </span>
+          )
+          : <span style={{ opacity: 0.6 }}>No engagement</span>}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginTop: '6px' }}>
+        <Gauge
+          label={`Perigee ${state.perigee.toFixed(1)} km`}
+          fraction={perigeeProgress}
+          color="#10b981"
+        />
+        <Gauge
+          label={`Temperature rise ${state.tempRise.toFixed(1)} / ${results.thermalBudget} K`}
+          fraction={state.tempRise / results.thermalBudget}
+          color="#f59e0b"
+        />
+      </div>
+    </div>
+  );
+}
+
+function Gauge({ label, fraction, color }) {
+  return (
+    <div>
+      <div style={{ marginBottom: '2px' }}>{label}</div>
+      <div style={{ height: '5px', background: 'rgba(255,255,255,0.1)', borderRadius: '3px', overflow: 'hidden' }}>
+        <div style={{ width: `${Math.max(0, Math.min(100, fraction * 100))}%`, height: '100%', background: color }} />
+      </div>
+    </div>
+  );
+}
+
+const panelStyle = {
+  position: 'absolute',
+  left: '60px',
+  right: '10px',
+  bottom: '20px',
+  zIndex: 1000,
+  padding: '8px 10px',
+  background: 'rgba(15, 23, 42, 0.9)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.5)',
+  borderRadius: '6px',
+  fontSize: '12px'
+};
+
+const buttonStyle = {
+  padding: '2px 8px',
+  background: 'rgba(30, 58, 138, 0.6)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.4)',
+  borderRadius: '4px',
+  cursor: 'pointer'
+};
@@ -0,0 +1,229 @@
+import React, { useState, useMemo } from 'react';
+import { validateTle } from './tleValidation.js';
+import { withTleOrbit } from './orbitalMechanics.js';
+import { noradIdOf } from './avoidance.js';
+
+const MAX_ROWS = 200; // Large imported catalogs are narrowed with the filters
+
+// Radar cross-section class of an entry: the catalog's own, or from its RCS in m²
+function rcsClassOf(entry) {
+  if (entry.rcsSize) return String(entry.rcsSize).toUpperCase();
+  if (!(entry.rcs > 0)) return null;
+  if (entry.rcs < 0.1) return 'SMALL';
+  return entry.rcs < 1 ? 'MEDIUM' : 'LARGE';
+}
+
+const COLUMNS = [
+  { key: 'name', label: 'Name', value: row => row.entry.name },
+  { key: 'noradId', label: 'NORAD', value: row => row.noradId },
+  { key: 'objectType', label: 'Type', value: row => row.entry.objectType },
+  { key: 'owner', label: 'Owner', value: row => row.entry.owner },
+  { key: 'rcs', label: 'RCS', value: row => row.entry.rcs ?? row.rcsClass, format: row => (row.entry.rcs ? `${row.entry.rcs} m²` : row.rcsClass) },
+  { key: 'size', label: 'Size m', value: row => row.entry.size, format: row => formatProperty(row.entry, 'size', 2) },
+  { key: 'mass', label: 'Mass kg', value: row => row.entry.mass, format: row => formatProperty(row.entry, 'mass', 3) },
+  { key: 'perigee', label: 'Perigee', value: row => row.perigee, format: row => row.perigee?.toFixed(0) },
+  { key: 'apogee', label: 'Apogee', value: row => row.apogee, format: row => row.apogee?.toFixed(0) },
+  { key: 'inclination', label: 'Inc °', value: row => row.inclination, format: row => row.inclination?.toFixed(1) }
+];
+
+// Estimated values carry a leading ~
+function formatProperty(entry, key, digits) {
+  const text = Number(entry[key].toPrecision(digits)).toString();
+  return entry.estimated?.includes(key) ? `~${text}` : text;
+}
+
+// Missing values sort last in either direction
+function compareRows(column, direction) {
+  return (a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    if (valueA == null || valueA === '') return valueB == null || valueB === '' ? 0 : 1;
+    if (valueB == null || valueB === '') return -1;
+    const order = typeof valueA === 'number' && typeof valueB === 'number'
+      ? valueA - valueB
+      : String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+    return direction === 'asc' ? order : -order;
+  };
+}
+
+// Rows outside an open-ended numeric range; blank bounds do not filter
+function outside(value, min, max) {
+  if (min === '' && max === '') return false;
+  if (value == null) return true;
+  return (min !== '' && value < Number(min)) || (max !== '' && value > Number(max));
+}
+
+const EMPTY_FILTERS = {
+  query: '',
+  altitudeMin: '',
+  altitudeMax: '',
+  inclinationMin: '',
+  inclinationMax: '',
+  sizeMin: '',
+  sizeMax: '',
+  rcsClass: '',
+  objectType: '',
+  owner: ''
+};
+
+export default function CatalogBrowser({ catalog, selectedId, onSelect }) {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [sort, setSort] = useState({ key: 'name', direction: 'asc' });
+
+  // TLE validity and mean orbit geometry per entry
+  const rows = useMemo(
+    () => catalog.map(entry => {
+      const { valid } = validateTle(entry.tle1, entry.tle2);
+      const orbit = valid ? withTleOrbit(entry) : entry;
+      return {
+        entry,
+        valid,
+        noradId: valid ? noradIdOf(entry.tle1) : null,
+        rcsClass: rcsClassOf(entry),
+        perigee: orbit.perigee ?? null,
+        apogee: orbit.apogee ?? null,
+        inclination: orbit.inclination ?? null
+      };
+    }),
+    [catalog]
+  );
+
+  const choices = useMemo(() => {
+    const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+    return {
+      objectType: distinct(rows.map(row => row.entry.objectType)),
+      owner: distinct(rows.map(row => row.entry.owner)),
+      rcsClass: distinct(rows.map(row => row.rcsClass))
+    };
+  }, [rows]);
+
+  const visible = useMemo(() => {
+    const query = filters.query.trim().toLowerCase();
+    const column = COLUMNS.find(candidate => candidate.key === sort.key);
+    return rows
+      .filter(row => {
+        if (query && ![row.entry.name, row.noradId, row.entry.objectId]
+          .some(text => text && String(text).toLowerCase().includes(query))) return false;
+        // The altitude band keeps orbits that pass through it at some point
+        if (filters.altitudeMin !== '' && !(row.apogee >= Number(filters.altitudeMin))) return false;
+        if (filters.altitudeMax !== '' && !(row.perigee <= Number(filters.altitudeMax))) return false;
+        if (outside(row.inclination, filters.inclinationMin, filters.inclinationMax)) return false;
+        if (outside(row.entry.size, filters.sizeMin, filters.sizeMax)) return false;
+        if (filters.rcsClass && row.rcsClass !== filters.rcsClass) return false;
+        if (filters.objectType && row.entry.objectType !== filters.objectType) return false;
+        if (filters.owner && row.entry.owner !== filters.owner) return false;
+        return true;
+      })
+      .sort(compareRows(column, sort.direction));
+  }, [rows, filters, sort]);
+
+  const setFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+  const toggleSort = (key) => setSort(sort.key === key
+    ? { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+    : { key, direction: 'asc' });
+
+  const range = (label, minKey, maxKey) => (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+      <span style={{ width: '72px', opacity: 0.8 }}>{label}</span>
+      <input type="number" placeholder="min" value={filters[minKey]} onChange={setFilter(minKey)} style={{ ...inputStyle, width: '58px' }} />
+      –
+      <input type="number" placeholder="max" value={filters[maxKey]} onChange={setFilter(maxKey)} style={{ ...inputStyle, width: '58px' }} />
+    </label>
+  );
+
+  const choice = (key, allLabel) => (
+    <select value={filters[key]} onChange={setFilter(key)} style={{ ...inputStyle, flex: 1 }}>
+      <option value="">{allLabel}</option>
+      {choices[key].map(value => <option key={value} value={value}>{value}</option>)}
+    </select>
+  );
+
+  return (
+    <div style={{ fontSize: '12px', color: '#c7d2fe' }}>
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+        <input
+          type="search"
+          placeholder="Search name, NORAD ID or international designator"
+          value={filters.query}
+          onChange={setFilter('query')}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button onClick={() => setFilters(EMPTY_FILTERS)} style={buttonStyle}>Clear</button>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 10px', marginBottom: '6px' }}>
+        {range('Altitude km', 'altitudeMin', 'altitudeMax')}
+        {range('Inclination °', 'inclinationMin', 'inclinationMax')}
+        {range('Size m', 'sizeMin', 'sizeMax')}
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {choice('rcsClass', 'Any RCS')}
+        </div>
+        <div style={{ display: 'flex', gap: '4px', gridColumn: 'span 2' }}>
+          {choice('objectType', 'Any type')}
+          {choice('owner', 'Any owner')}
+        </div>
+      </div>
+
+      <div style={{ maxHeight: '220px', overflow: 'auto', border: '1px solid rgba(59, 130, 246, 0.3)', borderRadius: '6px' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', whiteSpace: 'nowrap' }}>
+          <thead>
+            <tr>
+              {COLUMNS.map(column => (
+                <th
+                  key={column.key}
+                  onClick={() => toggleSort(column.key)}
+                  style={{ position: 'sticky', top: 0, padding: '4px 6px', background: 'rgba(15, 23, 42, 0.95)', color: '#a5b4fc', textAlign: 'left', cursor: 'pointer', userSelect: 'none' }}
+                >
+                  {column.label}{sort.key === column.key ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : ''}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.slice(0, MAX_ROWS).map(row => (
+              <tr
+                key={row.entry.id}
+                onClick={() => onSelect(row.entry)}
+                title={row.valid ? undefined : 'Invalid TLE'}
+                style={{
+                  cursor: 'pointer',
+                  background: row.entry.id === selectedId ? 'rgba(59, 130, 246, 0.3)' : 'transparent',
+                  color: row.valid ? '#e0e7ff' : '#f87171'
+                }}
+              >
+                {COLUMNS.map(column => (
+                  <td key={column.key} style={{ padding: '3px 6px', borderTop: '1px solid rgba(30, 58, 138, 0.3)' }}>
+                    {column.key === 'name' && !row.valid ? '✕ ' : ''}
+                    {(column.format ? column.format(row) : column.value(row)) ?? '—'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ marginTop: '4px', opacity: 0.7 }}>
+        {visible.length > MAX_ROWS ? `Showing ${MAX_ROWS} of ${visible.length} matches` : `${visible.length} of ${rows.length} objects`}
+        {' '}• ~ marks a value estimated from size and object type
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = {
+  padding: '3px 6px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: 'rgba(30, 58, 138, 0.6)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.4)',
+  borderRadius: '4px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { mergeCatalog } from './catalogImport.js';
+import { ORBIT_REGIME } from './tleValidation.js';
+import {
+  DEFAULT_STAND_IN_URL,
+  createFileCatalogProvider,
+  createSpaceTrackProvider,
+  refreshStaleTles
+} from './catalogProvider.js';
+
+const PROVIDER_KIND = {
+  NONE: 'none',
+  FILE: 'file',
+  SERVER: 'server'
+};
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 16).replace('T', ' ');
+}
+
+export default function CatalogProviderPanel({ provider, setProvider, catalog, onCatalogChange, referenceDate }) {
+  const [kind, setKind] = useState(PROVIDER_KIND.NONE);
+  const [url, setUrl] = useState(DEFAULT_STAND_IN_URL);
+  const [noradId, setNoradId] = useState('');
+  const [regime, setRegime] = useState('LEO');
+  const [busy, setBusy] = useState(false);
+  const [report, setReport] = useState(null); // { lines: [string], problems: [string] }
+
+  // A server provider follows the URL; a file provider is made when its file is read
+  useEffect(() => {
+    if (kind === PROVIDER_KIND.SERVER) setProvider(createSpaceTrackProvider({ baseUrl: url }));
+    else setProvider(null);
+    setReport(null);
+  }, [kind, url]);
+
+  const handleProviderFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setProvider(createFileCatalogProvider(await file.text(), file.name));
+    } catch (error) {
+      alert(`Could not load ${file.name}: ${error.message}`);
+    }
+    e.target.value = '';
+  };
+
+  // Provider calls may take a while; only one runs at a time
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      setReport(await action());
+    } catch (error) {
+      setReport({ lines: [], problems: [error.message] });
+    }
+    setBusy(false);
+  };
+
+  const refreshStale = () => run(async () => {
+    const result = await refreshStaleTles(catalog, provider, { referenceDate });
+    onCatalogChange(result.catalog);
+    return {
+      lines: [
+        `${result.refreshed.length} stale TLE${result.refreshed.length === 1 ? '' : 's'} refreshed, ${result.unavailable.length} with nothing nearer the scenario start`,
+        ...result.refreshed.map(object => `✓ ${object.name}: ${formatDate(object.fromEpoch)} → ${formatDate(object.toEpoch)} UTC`)
+      ],
+      problems: result.failed.map(object => `${object.name}: ${object.message}`)
+    };
+  });
+
+  const addEntries = (entries, description) => {
+    const result = mergeCatalog(catalog, entries);
+    onCatalogChange(result.catalog);
+    return {
+      lines: [`${description}: ${result.added} added, ${result.updated} updated to a newer epoch, ${result.unchanged} already current`],
+      problems: []
+    };
+  };
+
+  const fetchObject = () => run(async () => {
+    const entry = await provider.fetchById(noradId.trim());
+    if (!entry) return { lines: [], problems: [`${provider.name} has no object ${noradId.trim()}`] };
+    return addEntries([entry], entry.name);
+  });
+
+  const loadRegime = () => run(async () => {
+    const entries = await provider.queryByRegime(regime);
+    return addEntries(entries, `${entries.length} ${regime} objects`);
+  });
+
+  const disabled = !provider || busy;
+
+  return (
+    <div style={{ marginTop: '10px', padding: '10px', border: '1px solid rgba(59, 130, 246, 0.3)', borderRadius: '6px', fontSize: '12px', color: '#c7d2fe' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+        <span style={{ opacity: 0.8 }}>Catalog provider</span>
+        <select value={kind} onChange={(e) => setKind(e.target.value)} style={{ ...inputStyle, flex: 1 }}>
+          <option value={PROVIDER_KIND.NONE}>None</option>
+          <option value={PROVIDER_KIND.FILE}>Local catalog file</option>
+          <option value={PROVIDER_KIND.SERVER}>Space-track-like server</option>
+        </select>
+      </div>
+      {kind === PROVIDER_KIND.FILE && (
+        <input
+          type="file"
+          accept=".tle,.txt,.3le,.2le,.kvn,.omm,.xml,.json,.csv"
+          onChange={handleProviderFile}
+          style={{ width: '100%', marginBottom: '6px' }}
+        />
+      )}
+      {kind === PROVIDER_KIND.SERVER && (
+        <input
+          type="url"
+          defaultValue={url}
+          onBlur={(e) => setUrl(e.target.value.trim() || DEFAULT_STAND_IN_URL)}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          style={{ ...inputStyle, width: '100%', boxSizing: 'border-box', marginBottom: '6px' }}
+        />
+      )}
+      {kind !== PROVIDER_KIND.NONE && (
+        <>
+          <div style={{ marginBottom: '6px', opacity: 0.8 }}>
+            {provider ? `Using ${provider.name}` : 'Choose a catalog file'} • stale TLEs are also refreshed when a simulation starts
+          </div>
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+            <button onClick={refreshStale} disabled={disabled} style={buttonStyle}>Refresh stale TLEs</button>
+            <input
+              type="text"
+              placeholder="NORAD ID"
+              value={noradId}
+              onChange={(e) => setNoradId(e.target.value)}
+              style={{ ...inputStyle, width: '70px' }}
+            />
+            <button onClick={fetchObject} disabled={disabled || !noradId.trim()} style={buttonStyle}>Fetch</button>
+            <select value={regime} onChange={(e) => setRegime(e.target.value)} style={inputStyle}>
+              {Object.entries(ORBIT_REGIME).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+            <button onClick={loadRegime} disabled={disabled} style={buttonStyle}>Load regime</button>
+          </div>
+        </>
+      )}
+      {busy && <div style={{ marginTop: '6px' }}>Asking {provider.name}…</div>}
+      {report && !busy && (
+        <div style={{ marginTop: '6px' }}>
+          {report.lines.map(line => <div key={line}>{line}</div>)}
+          {report.problems.map(problem => <div key={problem} style={{ color: '#f87171' }}>✕ {problem}</div>)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const inputStyle = {
+  padding: '3px 6px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: 'rgba(30, 58, 138, 0.6)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.4)',
+  borderRadius: '4px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
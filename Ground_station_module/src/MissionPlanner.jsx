@@ -1,250 +1,209 @@
-import React, { useState, useMemo } from 'react';
-import { calculateVisibilityWindows } from './map.jsx';
-import { trackPerigeeEvolution, estimateAtmosphericDecay, isReEntryAchieved } from './orbitalMechanics.js';
-import { calculateMissionCost } from './Physics.js';
-
-// Sample debris catalog with TLE data
-const DEBRIS_CATALOG = [
-  {
-    id: 1,
-    name: "Cosmos 1408 Fragment #1",
-    size: 0.5, // meters
-    mass: 15, // kg
-    material: 'ALUMINUM',
-    areaToMass: 0.02, // m²/kg
-    tle1: "1 49863U 21113A   23320.50000000  .00001234  00000-0  12345-3 0  9999",
-    tle2: "2 49863  82.5678 123.4567 0012345  45.6789 314.5678 14.89012345123456",
-    perigee: 480,
-    apogee: 520,
-    inclination: 82.5
-  },
-  {
-    id: 2,
-    name: "Fengyun-1C Fragment",
-    size: 0.3,
-    mass: 5,
-    material: 'ALUMINUM',
-    areaToMass: 0.03,
-    tle1: "1 32345U 07006A   23320.50000000  .00000987  00000-0  98765-4 0  9997",
-    tle2: "2 32345  98.7654 234.5678 0023456  67.8901 292.3456 14.12345678234567",
-    perigee: 750,
-    apogee: 820,
-    inclination: 98.7
-  },
-  {
-    id: 3,
-    name: "Rocket Body (R/B)",
-    size: 2.5,
-    mass: 450,
-    material: 'STEEL',
-    areaToMass: 0.008,
-    tle1: "1 12345U 99025B   23320.50000000  .00000456  00000-0  45678-4 0  9998",
-    tle2: "2 12345  51.6543 345.6789 0034567  89.0123 271.2345 15.54321098345678",
-    perigee: 380,
-    apogee: 410,
-    inclination: 51.6
-  },
-  {
-    id: 4,
-    name: "Small Fragment (Paint Flake)",
-    size: 0.1,
-    mass: 0.5,
-    material: 'MLI',
-    areaToMass: 0.05,
-    tle1: "1 98765U 19001A   23320.50000000  .00002345  00000-0  23456-3 0  9996",
-    tle2: "2 98765  45.6789 456.7890 0045678  12.3456 347.8901 15.12345678456789",
-    perigee: 550,
-    apogee: 600,
-    inclination: 45.6
-  }
-];
-
-// Physics constants from Physics.js
-const LASER_PARAMS = {
-  PULSE_ENERGY: 100e3, // 100 kJ
-  WAVELENGTH: 1030e-9,
-  PULSE_DURATION: 5e-9,
-  TRANSMITTER_DIAMETER: 4.0,
-  BEAM_QUALITY: 1.2,
-};
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { getTleEpoch, toUtcInputValue, fromUtcInputValue } from './scenarioClock.js';
+import { DEFAULT_MIN_ELEVATION } from './visibility.js';
+import { parseCatalogFile, mergeCatalog } from './catalogImport.js';
+import { ENGAGEMENT_MODE, DEFAULT_WEATHER_TRIALS, CLOSURE_KIND, MATERIALS } from './campaign.js';
+import { parseTleCatalog, DEFAULT_SEPARATION_DEG } from './avoidance.js';
+import { validateTle, TLE_STALE_DAYS } from './tleValidation.js';
+import { withTleOrbit, ORBIT_ELEMENTS } from './orbitalMechanics.js';
+import { overrideProperty } from './debrisProperties.js';
+import { refreshStaleTles } from './catalogProvider.js';
+import { inTrackUncertainty } from './tleUncertainty.js';
+import SkyPlot from './SkyPlot.jsx';
+import CatalogBrowser from './CatalogBrowser.jsx';
+import CatalogProviderPanel from './CatalogProviderPanel.jsx';
 
-const MATERIAL_PROPERTIES = {
-  ALUMINUM: { MAX_TEMP_RISE: 100, SPECIFIC_HEAT: 900, DENSITY: 2700 },
-  STEEL: { MAX_TEMP_RISE: 200, SPECIFIC_HEAT: 470, DENSITY: 7850 },
-  MLI: { MAX_TEMP_RISE: 80, SPECIFIC_HEAT: 1000, DENSITY: 100 }
-};
+export default function MissionPlanner({ stations, catalog, setCatalog, selectedDebris, setSelectedDebris, missionResults, setMissionResults, scenario, setScenario }) {
+  const [calculating, setCalculating] = useState(false);
+  const [showResults, setShowResults] = useState(false);
 
-/**
- * Calculate laser-induced delta-V (simplified from Physics.js)
- */
-function calculateLaserDeltaV(pulseEnergy, mass, distance) {
-  // Beam radius at distance (simplified)
-  const divergenceAngle = (LASER_PARAMS.BEAM_QUALITY * LASER_PARAMS.WAVELENGTH) / 
-                         (Math.PI * (LASER_PARAMS.TRANSMITTER_DIAMETER / 2));
-  const beamRadius = (LASER_PARAMS.TRANSMITTER_DIAMETER / 2) + distance * divergenceAngle;
-  
-  // Fluence (J/cm²)
-  const beamArea = Math.PI * beamRadius * beamRadius;
-  const fluenceJm2 = (pulseEnergy * 0.7) / beamArea; // 0.7 = atmospheric transmission
-  const fluence = fluenceJm2 / 10000; // Convert to J/cm²
-  
-  // Momentum coupling coefficient (simplified)
-  let cm;
-  if (fluence < 10) {
-    cm = 5e-6;
-  } else if (fluence < 50) {
-    cm = (5 + (fluence - 10) * 0.5) * 1e-6;
-  } else {
-    cm = 25e-6;
-  }
-  
-  // Delta-V per pulse (m/s)
-  return (cm * pulseEnergy) / mass;
-}
+  const [progress, setProgress] = useState(null);
+  const [partial, setPartial] = useState(null);
+  const [skyPlotPass, setSkyPlotPass] = useState(null);
+  const [engagementMode, setEngagementMode] = useState(ENGAGEMENT_MODE.HANDOVER);
+  const [weatherTrials, setWeatherTrials] = useState(DEFAULT_WEATHER_TRIALS);
+  const [protectedCatalog, setProtectedCatalog] = useState(null); // { fileName, objects }
+  const [separationDeg, setSeparationDeg] = useState(DEFAULT_SEPARATION_DEG);
+  const [importReport, setImportReport] = useState(null); // { files, added, updated, unchanged, rejected }
+  const [dragging, setDragging] = useState(false);
+  const [orbitElements, setOrbitElements] = useState(ORBIT_ELEMENTS.MEAN);
+  const [catalogProvider, setCatalogProvider] = useState(null);
+  const [maxTleAgeDays, setMaxTleAgeDays] = useState(null); // null counts passes at any TLE age
+  const workerRef = useRef(null);
+  const runRef = useRef(0); // Counts runs, so a cancelled run's provider refresh is ignored
 
-/**
- * Calculate max pulses per pass based on thermal constraints
- */
-function calculateMaxPulses(debris, fluence) {
-  const material = MATERIAL_PROPERTIES[debris.material];
-  const maxTempRise = material.MAX_TEMP_RISE;
-  const specificHeat = material.SPECIFIC_HEAT;
-  
-  // Energy absorbed per pulse
-  const absorptionEff = fluence < 20 ? 0.3 : Math.min(0.8, 0.3 + (fluence - 20) * 0.01);
-  const energyPerPulse = fluence * 10000 * absorptionEff; // J/m²
-  
-  // Temperature rise per pulse
-  const tempRisePerPulse = (debris.areaToMass * energyPerPulse) / specificHeat;
-  
-  // Max pulses before overheating
-  return Math.floor(maxTempRise / tempRisePerPulse);
-}
+  // The selected target's TLE, including its age at the scenario start
+  const tleCheck = useMemo(
+    () => selectedDebris && validateTle(selectedDebris.tle1, selectedDebris.tle2, { referenceDate: scenario.startEpoch }),
+    [selectedDebris, scenario.startEpoch]
+  );
+  // The selected target's orbit as its TLE gives it, as the campaign will use it
+  const selectedOrbit = useMemo(
+    () => (tleCheck?.valid ? withTleOrbit(selectedDebris, { elements: orbitElements, epoch: scenario.startEpoch }) : null),
+    [selectedDebris, tleCheck, orbitElements, scenario.startEpoch]
+  );
 
-export default function MissionPlanner({ stations, selectedDebris, setSelectedDebris, missionResults, setMissionResults }) {
-  const [calculating, setCalculating] = useState(false);
-  const [showResults, setShowResults] = useState(false);
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  // Never leave a simulation running after the planner unmounts
+  useEffect(() => stopWorker, []);
 
   // Calculate mission when debris is selected and stations are available
-  const runMissionSimulation = () => {
+  const runMissionSimulation = async () => {
     if (!selectedDebris || stations.length === 0) {
       alert('Please select debris and place at least one ground station');
       return;
     }
+    if (!tleCheck.valid) {
+      alert(`${selectedDebris.name} has an invalid TLE:\n- ${tleCheck.errors.join('\n- ')}`);
+      return;
+    }
 
+    const run = ++runRef.current;
     setCalculating(true);
     setShowResults(false);
+    setProgress(null);
+    setPartial({ stations: [], campaign: null });
 
-    // Simulate calculation delay
-    setTimeout(() => {
-      // 1. Calculate visibility passes for all stations
-      const allPasses = [];
-      stations.forEach(station => {
-        const passes = calculateVisibilityWindows(
-          station,
-          selectedDebris.tle1,
-          selectedDebris.tle2,
-          90, // 90 days
-          20 // min elevation
-        );
-        passes.forEach(pass => {
-          allPasses.push({
-            ...pass,
-            stationId: station.id,
-            stationName: station.name
-          });
-        });
-      });
-
-      // Sort passes chronologically
-      allPasses.sort((a, b) => a.startTime - b.startTime);
-
-      // 2. Calculate laser physics for each pass
-      const distance = (selectedDebris.perigee + 6371) * 1000; // meters
-      const deltaVPerPulse = calculateLaserDeltaV(
-        LASER_PARAMS.PULSE_ENERGY,
-        selectedDebris.mass,
-        distance
-      );
-
-      // Beam radius calculation
-      const divergenceAngle = (LASER_PARAMS.BEAM_QUALITY * LASER_PARAMS.WAVELENGTH) / 
-                             (Math.PI * (LASER_PARAMS.TRANSMITTER_DIAMETER / 2));
-      const beamRadius = (LASER_PARAMS.TRANSMITTER_DIAMETER / 2) + distance * divergenceAngle;
-      const beamArea = Math.PI * beamRadius * beamRadius;
-      const fluence = (LASER_PARAMS.PULSE_ENERGY * 0.7) / (beamArea * 10000);
-      
-      const maxPulsesPerPass = calculateMaxPulses(selectedDebris, fluence);
-
-      // 3. Calculate orbital mechanics
-      const deltaVsPerPass = [];
-      const passDetails = [];
-
-      allPasses.forEach((pass, idx) => {
-        const pulsesThisPass = Math.min(maxPulsesPerPass, Math.floor(pass.duration / 0.1)); // 10 Hz max
-        const totalDeltaV = deltaVPerPulse * pulsesThisPass;
-        
-        deltaVsPerPass.push(totalDeltaV);
-        passDetails.push({
-          passNumber: idx + 1,
-          time: pass.startTime,
-          duration: pass.duration,
-          pulses: pulsesThisPass,
-          deltaV: totalDeltaV,
-          station: pass.stationName,
-          elevation: pass.maxElevation
-        });
-      });
-
-      // Track perigee evolution
-      const orbitalEvolution = trackPerigeeEvolution(
-        selectedDebris.perigee,
-        selectedDebris.apogee,
-        deltaVsPerPass
-      );
-
-      // Find when re-entry is achieved
-      const reEntryPass = orbitalEvolution.find(e => isReEntryAchieved(e.perigeeAlt));
-      const passesNeeded = reEntryPass ? reEntryPass.passNumber : orbitalEvolution.length;
-      const totalDeltaV = deltaVsPerPass.slice(0, passesNeeded).reduce((sum, dv) => sum + dv, 0);
-
-      // Estimate atmospheric decay
-      const finalPerigee = reEntryPass ? reEntryPass.perigeeAlt : orbitalEvolution[orbitalEvolution.length - 1].perigeeAlt;
-      const decay = estimateAtmosphericDecay(finalPerigee, selectedDebris.areaToMass);
-
-      // Mission duration
-      const firstPass = allPasses[0].startTime;
-      const lastPass = allPasses[Math.min(passesNeeded - 1, allPasses.length - 1)].startTime;
-      const durationDays = (lastPass - firstPass) / (1000 * 60 * 60 * 24);
-
-      // Total energy
-      const totalPulses = passDetails.slice(0, passesNeeded).reduce((sum, p) => sum + p.pulses, 0);
-      const totalEnergyGJ = (totalPulses * LASER_PARAMS.PULSE_ENERGY) / 1e9;
-
-      // Calculate mission cost
-      const costAnalysis = calculateMissionCost(totalEnergyGJ, durationDays);
-
-      setMissionResults({
-        debris: selectedDebris,
-        passesNeeded,
-        totalPasses: allPasses.length,
-        totalDeltaV,
-        durationDays,
-        totalEnergyGJ,
-        totalPulses,
-        reEntryAchieved: !!reEntryPass,
-        finalPerigee,
-        atmosphericDecay: decay,
-        passDetails: passDetails.slice(0, Math.min(20, passesNeeded)), // First 20 passes
-        orbitalEvolution: orbitalEvolution.slice(0, Math.min(50, passesNeeded)), // First 50 for chart
-        deltaVPerPulse,
-        fluence,
-        costAnalysis
-      });
+    // A stale target is brought up to date through the configured provider first.
+    // When that fails or finds nothing nearer the scenario start, the stale set is
+    // used and the outcome is listed with the results' TLE warnings.
+    let debris = selectedDebris;
+    const refreshNotes = [];
+    if (catalogProvider && Math.abs(tleCheck.ageDays) > TLE_STALE_DAYS) {
+      setProgress({ phase: 'refresh', providerName: catalogProvider.name });
+      try {
+        const refresh = await refreshStaleTles(catalog, catalogProvider, { referenceDate: scenario.startEpoch, ids: [debris.id] });
+        if (run !== runRef.current) return; // Cancelled while waiting
+        if (refresh.refreshed.length > 0) {
+          applyCatalog(refresh.catalog);
+          debris = refresh.catalog.find(entry => entry.id === debris.id);
+        }
+        refresh.unavailable.forEach(name => refreshNotes.push(
+          `${catalogProvider.name} has no element set of ${name} nearer the scenario start; the stale TLE was used`
+        ));
+        refresh.failed.forEach(object => refreshNotes.push(
+          `Could not refresh ${object.name} through ${catalogProvider.name} (${object.message}); the stale TLE was used`
+        ));
+      } catch (error) {
+        if (run !== runRef.current) return;
+        refreshNotes.push(`Could not refresh the TLE through ${catalogProvider.name} (${error.message}); the stale TLE was used`);
+      }
+      setProgress(null);
+    }
 
+    // Prediction and campaign physics run in a worker so the UI stays responsive.
+    // The worker is kept between runs because it holds the pass prediction cache.
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('./missionWorker.js', import.meta.url), { type: 'module' });
+    }
+    const worker = workerRef.current;
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      switch (message.type) {
+        case 'progress':
+          setProgress(message);
+          break;
+        case 'partial':
+          setPartial(prev => (message.phase === 'prediction'
+            ? { ...prev, stations: [...prev.stations, message] }
+            : { ...prev, campaign: message }));
+          break;
+        case 'result':
+          setSkyPlotPass(null);
+          setMissionResults({ ...message.results, tleWarnings: [...refreshNotes, ...message.results.tleWarnings] });
+          setCalculating(false);
+          setShowResults(true);
+          break;
+        case 'error':
+          setCalculating(false);
+          alert(message.message);
+          break;
+      }
+    };
+    worker.onerror = (e) => {
+      stopWorker();
       setCalculating(false);
-      setShowResults(true);
-    }, 1500);
+      alert(`Simulation failed: ${e.message}`);
+    };
+
+    worker.postMessage({
+      debris,
+      stations,
+      scenario,
+      minElevation: DEFAULT_MIN_ELEVATION,
+      engagementMode,
+      weatherTrials,
+      avoidance: protectedCatalog ? { objects: protectedCatalog.objects, separationDeg } : null,
+      orbitElements,
+      maxTleAgeDays
+    });
+  };
+
+  const handleProtectedCatalogFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setProtectedCatalog({ fileName: file.name, objects: parseTleCatalog(await file.text()) });
+      setShowResults(false);
+    } catch (error) {
+      alert(`Could not load ${file.name}: ${error.message}`);
+    }
+    e.target.value = '';
+  };
+
+  // Keep the selection pointing at its entry in an updated catalog, which may carry newer elements
+  const applyCatalog = (updated) => {
+    setCatalog(updated);
+    if (selectedDebris) setSelectedDebris(updated.find(debris => debris.id === selectedDebris.id) || selectedDebris);
+  };
+
+  // Catalog files join the target list; a NORAD ID already listed keeps its newest elements
+  const importCatalogFiles = async (files) => {
+    let merged = catalog;
+    const report = { files: [], added: 0, updated: 0, unchanged: 0, rejected: [] };
+    for (const file of files) {
+      try {
+        const { format, entries, rejected } = parseCatalogFile(await file.text(), file.name);
+        const result = mergeCatalog(merged, entries);
+        merged = result.catalog;
+        report.files.push(`${file.name} (${format})`);
+        report.added += result.added;
+        report.updated += result.updated;
+        report.unchanged += result.unchanged;
+        report.rejected.push(...rejected.map(object => ({ ...object, file: file.name })));
+      } catch (error) {
+        report.rejected.push({ name: file.name, file: file.name, errors: [error.message] });
+      }
+    }
+    applyCatalog(merged);
+    setImportReport(report);
+  };
+
+  // Hand-entered physical properties replace estimates in the catalog and the selection
+  const updateSelectedProperty = (key, value) => {
+    const updated = overrideProperty(selectedDebris, key, value);
+    setCatalog(catalog.map(debris => (debris.id === updated.id ? updated : debris)));
+    setSelectedDebris(updated);
+    setShowResults(false);
+  };
+
+  const handleCatalogDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    if (e.dataTransfer.files.length > 0) importCatalogFiles([...e.dataTransfer.files]);
+  };
+
+  // A busy worker cannot take messages, so cancelling terminates it (and its cache)
+  const cancelMissionSimulation = () => {
+    runRef.current++;
+    stopWorker();
+    setCalculating(false);
+    setProgress(null);
   };
 
   return (
@@ -262,32 +221,69 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
         <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: 'bold', color: '#a5b4fc' }}>
           Select Debris Target:
         </label>
-        <select
-          value={selectedDebris?.id || ''}
-          onChange={(e) => {
-            const debris = DEBRIS_CATALOG.find(d => d.id === parseInt(e.target.value));
+        <CatalogBrowser
+          catalog={catalog}
+          selectedId={selectedDebris?.id}
+          onSelect={(debris) => {
             setSelectedDebris(debris);
             setShowResults(false);
           }}
+        />
+
+        {/* Catalog Import */}
+        <div
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleCatalogDrop}
           style={{
-            width: '100%',
+            marginTop: '10px',
             padding: '10px',
-            background: 'rgba(15, 23, 42, 0.8)',
-            color: '#e0e7ff',
-            border: '1px solid rgba(59, 130, 246, 0.5)',
+            border: `1px dashed ${dragging ? '#60a5fa' : 'rgba(59, 130, 246, 0.5)'}`,
             borderRadius: '6px',
-            fontSize: '14px',
-            cursor: 'pointer',
-            boxShadow: '0 0 10px rgba(59, 130, 246, 0.2)'
+            background: dragging ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+            fontSize: '12px',
+            color: '#c7d2fe'
           }}
         >
-          <option value="">-- Choose Target --</option>
-          {DEBRIS_CATALOG.map(debris => (
-            <option key={debris.id} value={debris.id}>
-              {debris.name} ({debris.size}m, {debris.mass}kg, {debris.perigee}km)
-            </option>
-          ))}
-        </select>
+          <div style={{ marginBottom: '6px', opacity: 0.8 }}>
+            Import targets: drop or choose TLE/3LE, CCSDS OMM (KVN, XML, JSON) or catalog JSON/CSV files • {catalog.length} in catalog
+          </div>
+          <input
+            type="file"
+            multiple
+            accept=".tle,.txt,.3le,.2le,.kvn,.omm,.xml,.json,.csv"
+            onChange={(e) => {
+              importCatalogFiles([...e.target.files]);
+              e.target.value = '';
+            }}
+            style={{ width: '100%' }}
+          />
+          {importReport && (
+            <div style={{ marginTop: '6px' }}>
+              {importReport.files.join(', ') || 'No file read'}: {importReport.added} added, {importReport.updated} updated to a newer epoch,{' '}
+              {importReport.unchanged} already current
+              {importReport.rejected.slice(0, 10).map((object, index) => (
+                <div key={index} style={{ color: '#f87171' }}>
+                  ✕ {object.name}: {object.errors.join('; ')}
+                </div>
+              ))}
+              {importReport.rejected.length > 10 && (
+                <div style={{ color: '#f87171' }}>…and {importReport.rejected.length - 10} more rejected</div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <CatalogProviderPanel
+          provider={catalogProvider}
+          setProvider={setCatalogProvider}
+          catalog={catalog}
+          onCatalogChange={applyCatalog}
+          referenceDate={scenario.startEpoch}
+        />
 
         {selectedDebris && (
           <div style={{ 
@@ -300,17 +296,207 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
             boxShadow: '0 0 15px rgba(30, 58, 138, 0.2)'
           }}>
             <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
-              <div><strong style={{ color: '#a5b4fc' }}>Size:</strong> {selectedDebris.size} m</div>
-              <div><strong style={{ color: '#a5b4fc' }}>Mass:</strong> {selectedDebris.mass} kg</div>
-              <div><strong style={{ color: '#a5b4fc' }}>Material:</strong> {selectedDebris.material}</div>
-              <div><strong style={{ color: '#a5b4fc' }}>A/M:</strong> {selectedDebris.areaToMass} m²/kg</div>
-              <div><strong style={{ color: '#a5b4fc' }}>Perigee:</strong> {selectedDebris.perigee} km</div>
-              <div><strong style={{ color: '#a5b4fc' }}>Apogee:</strong> {selectedDebris.apogee} km</div>
+              <PropertyField debris={selectedDebris} propertyKey="size" label="Size" unit="m" onChange={updateSelectedProperty} />
+              <PropertyField debris={selectedDebris} propertyKey="mass" label="Mass" unit="kg" onChange={updateSelectedProperty} />
+              <PropertyField debris={selectedDebris} propertyKey="area" label="Area" unit="m²" onChange={updateSelectedProperty} />
+              <PropertyField debris={selectedDebris} propertyKey="material" label="Material" onChange={updateSelectedProperty} />
+              <div><strong style={{ color: '#a5b4fc' }}>A/M:</strong> {selectedDebris.areaToMass.toPrecision(3)} m²/kg</div>
+              <div style={{ opacity: 0.7 }}>{selectedDebris.estimated.length > 0 ? '~ estimated from size and object type' : ''}</div>
+              {selectedOrbit ? (
+                <>
+                  <div><strong style={{ color: '#a5b4fc' }}>Perigee:</strong> {selectedOrbit.perigee.toFixed(0)} km</div>
+                  <div><strong style={{ color: '#a5b4fc' }}>Apogee:</strong> {selectedOrbit.apogee.toFixed(0)} km</div>
+                  <div><strong style={{ color: '#a5b4fc' }}>Inclination:</strong> {selectedOrbit.inclination.toFixed(2)}°</div>
+                  <div style={{ opacity: 0.7 }}>From TLE ({selectedOrbit.orbitElements})</div>
+                  <div style={{ gridColumn: 'span 2' }}>
+                    <strong style={{ color: '#a5b4fc' }}>In-track uncertainty:</strong>{' '}
+                    ±{inTrackUncertainty(selectedDebris.tle1, selectedDebris.tle2, scenario.startEpoch).toFixed(1)} km at the scenario start,{' '}
+                    ±{inTrackUncertainty(selectedDebris.tle1, selectedDebris.tle2, new Date(new Date(scenario.startEpoch).getTime() + scenario.horizonDays * 86400000)).toFixed(0)} km at its end (1σ)
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div><strong style={{ color: '#a5b4fc' }}>Perigee:</strong> {selectedDebris.perigee ?? '—'} km</div>
+                  <div><strong style={{ color: '#a5b4fc' }}>Apogee:</strong> {selectedDebris.apogee ?? '—'} km</div>
+                </>
+              )}
             </div>
+            <TleMessages errors={tleCheck.errors} warnings={[...tleCheck.warnings, ...(selectedOrbit?.orbitWarnings || [])]} />
           </div>
         )}
       </div>
 
+      {/* Scenario Clock */}
+      <div style={{ padding: '20px', borderBottom: '1px solid rgba(30, 58, 138, 0.3)' }}>
+        <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: 'bold', color: '#a5b4fc' }}>
+          Scenario:
+        </label>
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '10px', fontSize: '12px' }}>
+          <div>
+            <div style={{ marginBottom: '4px', opacity: 0.8, color: '#c7d2fe' }}>Start Epoch (UTC)</div>
+            <input
+              type="datetime-local"
+              value={toUtcInputValue(scenario.startEpoch)}
+              onChange={(e) => {
+                const startEpoch = fromUtcInputValue(e.target.value);
+                if (!Number.isNaN(startEpoch.getTime())) {
+                  setScenario({ ...scenario, startEpoch });
+                  setShowResults(false);
+                }
+              }}
+              style={inputStyle}
+            />
+          </div>
+          <div>
+            <div style={{ marginBottom: '4px', opacity: 0.8, color: '#c7d2fe' }}>Horizon (days)</div>
+            <input
+              type="number"
+              min="1"
+              max="365"
+              value={scenario.horizonDays}
+              onChange={(e) => {
+                const horizonDays = parseInt(e.target.value, 10);
+                if (horizonDays > 0) {
+                  setScenario({ ...scenario, horizonDays });
+                  setShowResults(false);
+                }
+              }}
+              style={inputStyle}
+            />
+          </div>
+        </div>
+        {selectedDebris && (
+          <button
+            onClick={() => {
+              setScenario({ ...scenario, startEpoch: getTleEpoch(selectedDebris.tle1) });
+              setShowResults(false);
+            }}
+            style={{
+              marginTop: '10px',
+              padding: '6px 10px',
+              background: 'rgba(30, 58, 138, 0.5)',
+              color: '#c7d2fe',
+              border: '1px solid rgba(59, 130, 246, 0.5)',
+              borderRadius: '6px',
+              fontSize: '12px',
+              cursor: 'pointer'
+            }}
+          >
+            Start at TLE epoch ({getTleEpoch(selectedDebris.tle1).toISOString().slice(0, 16).replace('T', ' ')} UTC)
+          </button>
+        )}
+        <div style={{ marginTop: '10px', fontSize: '12px' }}>
+          <div style={{ marginBottom: '4px', opacity: 0.8, color: '#c7d2fe' }}>Overlapping passes</div>
+          <select
+            value={engagementMode}
+            onChange={(e) => {
+              setEngagementMode(e.target.value);
+              setShowResults(false);
+            }}
+            style={inputStyle}
+          >
+            <option value={ENGAGEMENT_MODE.HANDOVER}>Hand over between stations</option>
+            <option value={ENGAGEMENT_MODE.DUAL_FIRE}>Fire together within the thermal budget</option>
+          </select>
+        </div>
+        <div style={{ marginTop: '10px', fontSize: '12px' }}>
+          <div style={{ marginBottom: '4px', opacity: 0.8, color: '#c7d2fe' }}>Orbit geometry from the TLE</div>
+          <select
+            value={orbitElements}
+            onChange={(e) => {
+              setOrbitElements(e.target.value);
+              setShowResults(false);
+            }}
+            style={inputStyle}
+          >
+            <option value={ORBIT_ELEMENTS.MEAN}>SGP4 mean elements</option>
+            <option value={ORBIT_ELEMENTS.OSCULATING}>Osculating at scenario start</option>
+          </select>
+        </div>
+        <div style={{ marginTop: '10px', fontSize: '12px' }}>
+          <div style={{ marginBottom: '4px', opacity: 0.8, color: '#c7d2fe' }}>Cloud trials (0 = always clear)</div>
+          <input
+            type="number"
+            min="0"
+            max="2000"
+            step="50"
+            value={weatherTrials}
+            onChange={(e) => {
+              setWeatherTrials(Math.max(0, parseInt(e.target.value, 10) || 0));
+              setShowResults(false);
+            }}
+            style={inputStyle}
+          />
+        </div>
+        <div style={{ marginTop: '10px', fontSize: '12px' }}>
+          <div style={{ marginBottom: '4px', opacity: 0.8, color: '#c7d2fe' }}>Require a fresh TLE: count passes within (days of epoch, blank = any age)</div>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={maxTleAgeDays ?? ''}
+            onChange={(e) => {
+              const days = parseFloat(e.target.value);
+              setMaxTleAgeDays(days >= 0 ? days : null);
+              setShowResults(false);
+            }}
+            style={inputStyle}
+          />
+        </div>
+      </div>
+
+      {/* Avoidance Screening */}
+      <div style={{ padding: '20px', borderBottom: '1px solid rgba(30, 58, 138, 0.3)', fontSize: '12px' }}>
+        <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: 'bold', color: '#a5b4fc' }}>
+          Avoidance Screening:
+        </label>
+        <div style={{ marginBottom: '6px', opacity: 0.8, color: '#c7d2fe' }}>
+          {protectedCatalog
+            ? `${protectedCatalog.objects.length} protected objects from ${protectedCatalog.fileName}`
+            : 'No catalog loaded - firing is not screened'}
+        </div>
+        <input type="file" accept=".tle,.txt,.3le" onChange={handleProtectedCatalogFile} style={{ width: '100%' }} />
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginTop: '8px', alignItems: 'end' }}>
+          <div>
+            <div style={{ marginBottom: '4px', opacity: 0.8, color: '#c7d2fe' }}>Keep-out angle (°)</div>
+            <input
+              type="number"
+              min="0.1"
+              max="30"
+              step="0.1"
+              value={separationDeg}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (value > 0) {
+                  setSeparationDeg(value);
+                  setShowResults(false);
+                }
+              }}
+              style={inputStyle}
+            />
+          </div>
+          {protectedCatalog && (
+            <button
+              onClick={() => {
+                setProtectedCatalog(null);
+                setShowResults(false);
+              }}
+              style={{
+                padding: '6px 10px',
+                background: 'rgba(30, 58, 138, 0.5)',
+                color: '#c7d2fe',
+                border: '1px solid rgba(59, 130, 246, 0.5)',
+                borderRadius: '6px',
+                fontSize: '12px',
+                cursor: 'pointer'
+              }}
+            >
+              Clear catalog
+            </button>
+          )}
+        </div>
+      </div>
+
       {/* Calculate Button */}
       <div style={{ padding: '20px', borderBottom: '1px solid rgba(30, 58, 138, 0.3)' }}>
         <button
@@ -333,6 +519,10 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
         >
           {calculating ? 'Calculating...' : 'Calculate Mission'}
         </button>
+
+        {calculating && (
+          <SimulationProgress progress={progress} partial={partial} onCancel={cancelMissionSimulation} />
+        )}
       </div>
 
       {/* Results */}
@@ -341,6 +531,46 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
           <h3 style={{ marginTop: 0, marginBottom: '15px', fontSize: '16px', color: '#818cf8' }}>
             Mission Results
           </h3>
+          <div style={{ fontSize: '12px', opacity: 0.7, marginTop: '-8px', marginBottom: '15px', color: '#c7d2fe' }}>
+            Scenario {toUtcInputValue(missionResults.scenarioStart).replace('T', ' ')} → {toUtcInputValue(missionResults.scenarioEnd).replace('T', ' ')} UTC
+            <br />
+            {missionResults.engageablePasses} of {missionResults.predictedPasses} passes engageable • {missionResults.daylightPasses} daylight • {missionResults.eclipsedPasses} eclipsed
+            {missionResults.staleTlePasses > 0 && (
+              <>
+                <br />
+                {missionResults.staleTlePasses} engageable passes not counted: more than {missionResults.maxTleAgeDays} days from the TLE epoch
+              </>
+            )}
+            {missionResults.engageablePasses - missionResults.staleTlePasses > missionResults.totalPasses && (
+              <>
+                <br />
+                Overlapping passes merged into {missionResults.totalPasses} coordinated engagements
+                ({missionResults.engagementMode === ENGAGEMENT_MODE.DUAL_FIRE ? 'dual fire' : 'handover'})
+              </>
+            )}
+            {missionResults.avoidance && (
+              <>
+                <br />
+                Screened against {missionResults.avoidance.objectCount} objects at {missionResults.avoidance.separationDeg}° •{' '}
+                {missionResults.avoidance.closures} closures held fire
+              </>
+            )}
+            {missionResults.airspaceClosures > 0 && (
+              <>
+                <br />
+                {missionResults.airspaceClosures} intervals blocked by airspace no-fire zones
+              </>
+            )}
+            {missionResults.acquisitionRiskPasses > 0 && (
+              <>
+                <br />
+                <span style={{ color: '#fbbf24' }}>
+                  {missionResults.acquisitionRiskPasses} of {missionResults.passesNeeded} passes flown are an acquisition risk: TLE uncertainty exceeds the beam spot
+                </span>
+              </>
+            )}
+            <TleMessages errors={[]} warnings={missionResults.tleWarnings} />
+          </div>
 
           {/* Summary Cards */}
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '20px' }}>
@@ -370,6 +600,31 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
             />
           </div>
 
+          {/* Weather Spread */}
+          {missionResults.weather && (
+            <div style={{
+              marginBottom: '20px',
+              padding: '12px',
+              background: 'rgba(30, 58, 138, 0.3)',
+              borderRadius: '6px',
+              fontSize: '12px',
+              border: '1px solid rgba(59, 130, 246, 0.3)'
+            }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '6px', color: '#a5b4fc' }}>
+                With Cloud ({missionResults.weather.trials} trials)
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px' }}>
+                <div>P50 duration: {formatWeatherDays(missionResults.weather.durationP50)}</div>
+                <div>P90 duration: {formatWeatherDays(missionResults.weather.durationP90)}</div>
+                <div>Re-entry in window: {(missionResults.weather.reEntryProbability * 100).toFixed(0)}%</div>
+                <div>Passes clouded out: {missionResults.weather.meanPassesLost.toFixed(1)}</div>
+              </div>
+              <div style={{ opacity: 0.7, marginTop: '6px' }}>
+                Mission Duration above assumes clear skies on every night
+              </div>
+            </div>
+          )}
+
           {/* Cost Analysis Section */}
           <div style={{ 
             marginBottom: '20px',
@@ -472,6 +727,22 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
             )}
           </div>
 
+          {/* ΔV by Station */}
+          {missionResults.deltaVByStation.length > 1 && (
+            <div style={{ marginBottom: '20px' }}>
+              <h4 style={{ fontSize: '14px', marginBottom: '10px', color: '#a5b4fc' }}>ΔV by Station</h4>
+              {missionResults.deltaVByStation.map(station => (
+                <div key={station.stationId} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', marginBottom: '4px' }}>
+                  <span style={{ width: '110px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{station.station}</span>
+                  <div style={{ flex: 1, height: '6px', background: 'rgba(255,255,255,0.1)', borderRadius: '3px', overflow: 'hidden' }}>
+                    <div style={{ width: `${(station.deltaV / missionResults.totalDeltaV) * 100}%`, height: '100%', background: '#f59e0b' }} />
+                  </div>
+                  <span style={{ width: '90px', textAlign: 'right' }}>{station.deltaV.toFixed(3)} m/s</span>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* Perigee Evolution Chart */}
           <div style={{ marginBottom: '20px' }}>
             <h4 style={{ fontSize: '14px', marginBottom: '10px', color: '#a5b4fc' }}>Perigee Evolution</h4>
@@ -491,7 +762,7 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
                 
                 {/* Re-entry threshold line at 200km */}
                 {(() => {
-                  const maxAlt = Math.max(...missionResults.orbitalEvolution.map(p => p.perigeeAlt), selectedDebris.perigee);
+                  const maxAlt = Math.max(...missionResults.orbitalEvolution.map(p => p.perigeeAlt), missionResults.debris.perigee);
                   const minAlt = Math.min(...missionResults.orbitalEvolution.map(p => p.perigeeAlt), 0);
                   const altRange = maxAlt - minAlt;
                   const reentryY = 160 - ((200 - minAlt) / altRange) * 140;
@@ -509,7 +780,7 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
                   if (idx === 0) return null;
                   const prevPoint = arr[idx - 1];
                   
-                  const maxAlt = Math.max(...arr.map(p => p.perigeeAlt), selectedDebris.perigee);
+                  const maxAlt = Math.max(...arr.map(p => p.perigeeAlt), missionResults.debris.perigee);
                   const minAlt = Math.min(...arr.map(p => p.perigeeAlt), 0);
                   const altRange = maxAlt - minAlt;
                   
@@ -534,7 +805,7 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
                 {/* Labels */}
                 <text x="10" y="25" fill="#e0e7ff" fontSize="10">Alt</text>
                 <text x="5" y="165" fill="#e0e7ff" fontSize="10">{Math.min(...missionResults.orbitalEvolution.map(p => p.perigeeAlt), 0).toFixed(0)}</text>
-                <text x="5" y="25" fill="#e0e7ff" fontSize="10">{Math.max(...missionResults.orbitalEvolution.map(p => p.perigeeAlt), selectedDebris.perigee).toFixed(0)}</text>
+                <text x="5" y="25" fill="#e0e7ff" fontSize="10">{Math.max(...missionResults.orbitalEvolution.map(p => p.perigeeAlt), missionResults.debris.perigee).toFixed(0)}</text>
                 <text x="200" y="175" fill="#e0e7ff" fontSize="10" textAnchor="middle">Pass Number</text>
               </svg>
             </div>
@@ -543,11 +814,14 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
           {/* Pass Details */}
           <div>
             <h4 style={{ fontSize: '14px', marginBottom: '10px', color: '#a5b4fc' }}>First 10 Passes</h4>
+            <div style={{ fontSize: '11px', opacity: 0.6, marginTop: '-6px', marginBottom: '8px' }}>Click a pass for its sky plot</div>
             <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
               {missionResults.passDetails.slice(0, 10).map(pass => (
                 <div
                   key={pass.passNumber}
+                  onClick={() => setSkyPlotPass(skyPlotPass === pass.passNumber ? null : pass.passNumber)}
                   style={{
+                    cursor: 'pointer',
                     padding: '10px',
                     background: 'rgba(30, 58, 138, 0.3)',
                     borderRadius: '6px',
@@ -563,6 +837,47 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
                   <div style={{ opacity: 0.8, color: '#c7d2fe' }}>
                     {pass.time.toLocaleString()} • {Math.round(pass.duration)}s • {pass.pulses} pulses • ΔV: {pass.deltaV.toFixed(4)} m/s
                   </div>
+                  <div style={{ opacity: 0.7, color: '#c7d2fe', marginTop: '2px' }}>
+                    Lit & dark: {Math.round(pass.engageableDuration)}s • Max El: {pass.elevation.toFixed(1)}° • Min Range: {Math.round(pass.minRange)} km • Mean Fluence: {pass.fluence.toFixed(1)} J/cm²
+                  </div>
+                  <div style={{ opacity: 0.7, color: '#c7d2fe', marginTop: '2px' }}>
+                    TLE age: {pass.acquisition.tleAgeDays.toFixed(1)} d • In-track ±{pass.acquisition.inTrackUncertainty.toFixed(1)} km (1σ) • Spot radius: {(pass.acquisition.beamSpotRadius * 1000).toFixed(1)} m
+                    {pass.acquisition.acquisitionRisk && (
+                      <span style={{ color: '#fbbf24', fontWeight: 'bold' }}> • ⚠ acquisition risk</span>
+                    )}
+                  </div>
+                  {pass.contributions.length > 1 && (
+                    <div style={{ opacity: 0.7, color: '#fbbf24', marginTop: '2px' }}>
+                      {pass.contributions.map(contribution => `${contribution.station} ${contribution.deltaV.toFixed(4)} m/s`).join(' • ')}
+                      {pass.handovers.map(handover => (
+                        <div key={handover.time.getTime()}>
+                          Handover {handover.from} → {handover.to} at {handover.time.toISOString().slice(11, 19)} UTC
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {pass.closures.map(closure => (
+                    <div key={`${closure.station}-${closure.object}-${closure.start.getTime()}`} style={{ color: '#f87171', marginTop: '2px' }}>
+                      {closure.kind === CLOSURE_KIND.AIRSPACE
+                        ? `No-fire zone: ${closure.object} from ${closure.station} `
+                        : `Closure: ${closure.object} (${closure.noradId}) from ${closure.station} `}
+                      {closure.start.toISOString().slice(11, 19)}–{closure.end.toISOString().slice(11, 19)} UTC
+                      {closure.kind === CLOSURE_KIND.SATELLITE && ` • min ${closure.minSeparation.toFixed(2)}°`}
+                    </div>
+                  ))}
+                  {skyPlotPass === pass.passNumber && pass.sky && pass.contributions.map(contribution => (
+                    <div key={contribution.stationId}>
+                      {pass.contributions.length > 1 && (
+                        <div style={{ marginTop: '8px', textAlign: 'center', color: '#a5b4fc' }}>{contribution.station}</div>
+                      )}
+                      <SkyPlot pass={contribution} />
+                      <div style={{ fontSize: '11px', opacity: 0.7, textAlign: 'center', color: '#c7d2fe' }}>
+                        <span style={{ color: '#ef4444' }}>━</span> laser firing •{' '}
+                        <span style={{ color: '#f59e0b' }}>▒</span> below elevation limit •{' '}
+                        AOS {contribution.aos.time.toISOString().slice(11, 19)} • TCA {contribution.tca.time.toISOString().slice(11, 19)} • LOS {contribution.los.time.toISOString().slice(11, 19)} UTC
+                      </div>
+                    </div>
+                  ))}
                 </div>
               ))}
             </div>
@@ -592,6 +907,161 @@ export default function MissionPlanner({ stations, selectedDebris, setSelectedDe
   );
 }
 
+const inputStyle = {
+  width: '100%',
+  padding: '8px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.5)',
+  borderRadius: '6px',
+  fontSize: '13px',
+  colorScheme: 'dark'
+};
+
+// Share of the run spent predicting passes; the campaign physics is the remainder
+const PREDICTION_SHARE = 0.9;
+const CAMPAIGN_SHARE = 0.05;
+
+// Weather percentiles are Infinity when re-entry is not reached in the window
+function formatWeatherDays(days) {
+  return Number.isFinite(days) ? `${days.toFixed(1)} days` : 'beyond window';
+}
+
+function SimulationProgress({ progress, partial, onCancel }) {
+  let fraction = 0;
+  let label = 'Starting simulation...';
+  if (progress?.phase === 'refresh') {
+    label = `Refreshing the stale TLE through ${progress.providerName}...`;
+  } else if (progress?.phase === 'prediction') {
+    fraction = PREDICTION_SHARE * (progress.stationIndex + progress.day / progress.days) / progress.stationCount;
+    label = `Predicting passes: ${progress.stationName} (${progress.stationIndex + 1}/${progress.stationCount}) • day ${progress.day}/${progress.days}`;
+  } else if (progress?.phase === 'campaign') {
+    fraction = PREDICTION_SHARE + CAMPAIGN_SHARE * progress.day / progress.days;
+    label = `Simulating campaign: day ${progress.day}/${progress.days}`;
+  } else if (progress?.phase === 'weather') {
+    fraction = PREDICTION_SHARE + CAMPAIGN_SHARE + (1 - PREDICTION_SHARE - CAMPAIGN_SHARE) * progress.trial / progress.trials;
+    label = `Cloud trials: ${progress.trial}/${progress.trials}`;
+  }
+
+  return (
+    <div style={{ marginTop: '12px', fontSize: '12px', color: '#c7d2fe' }}>
+      <div style={{ marginBottom: '6px' }}>{label}</div>
+      <div style={{ width: '100%', height: '6px', background: 'rgba(255,255,255,0.1)', borderRadius: '3px', overflow: 'hidden' }}>
+        <div style={{ width: `${Math.min(100, fraction * 100)}%`, height: '100%', background: '#3b82f6', transition: 'width 0.3s ease' }} />
+      </div>
+
+      {partial?.stations.map(station => (
+        <div key={station.stationId} style={{ marginTop: '4px', opacity: 0.8 }}>
+          ✓ {station.stationName}: {station.passCount} passes, {station.engageableCount} engageable
+          {station.source !== 'computed' && ` (${station.source === 'cached' ? 'from cache' : 'cache extended'})`}
+        </div>
+      ))}
+      {partial?.campaign && (
+        <div style={{ marginTop: '4px', opacity: 0.8 }}>
+          Day {partial.campaign.day}: {partial.campaign.passesFlown} passes flown • ΔV {partial.campaign.cumulativeDeltaV.toFixed(3)} m/s
+        </div>
+      )}
+
+      <button
+        onClick={onCancel}
+        style={{
+          marginTop: '10px',
+          padding: '6px 12px',
+          background: 'rgba(124, 45, 18, 0.6)',
+          color: '#fde68a',
+          border: '1px solid #f59e0b',
+          borderRadius: '6px',
+          fontSize: '12px',
+          cursor: 'pointer'
+        }}
+      >
+        Cancel
+      </button>
+    </div>
+  );
+}
+
+// One physical property of the target, editable in place. Estimated values
+// are marked and a hand-entered value can be reset to its estimate.
+function PropertyField({ debris, propertyKey, label, unit, onChange }) {
+  const value = debris[propertyKey];
+  const estimated = debris.estimated.includes(propertyKey);
+  const [draft, setDraft] = useState('');
+
+  // Show the current value whenever the target or its estimate changes
+  useEffect(() => {
+    setDraft(typeof value === 'number' ? String(Number(value.toPrecision(4))) : value);
+  }, [debris.id, value]);
+
+  const apply = () => {
+    const number = parseFloat(draft);
+    if (!(number > 0)) {
+      alert(`${label} must be a positive number`);
+      setDraft(String(Number(value.toPrecision(4))));
+      return;
+    }
+    if (number !== Number(value.toPrecision(4))) onChange(propertyKey, number);
+  };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+      <strong style={{ color: '#a5b4fc' }}>{label}:</strong>
+      {propertyKey === 'material' ? (
+        <select value={value} onChange={(e) => onChange(propertyKey, e.target.value)} style={{ ...propertyInputStyle, width: '90px' }}>
+          {MATERIALS.map(material => <option key={material} value={material}>{material}</option>)}
+        </select>
+      ) : (
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={apply}
+          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+          style={{ ...propertyInputStyle, width: '64px' }}
+        />
+      )}
+      {unit}
+      {estimated ? (
+        <span title="Estimated from size and object type" style={{ color: '#fbbf24' }}>~</span>
+      ) : (
+        <button
+          title="Use the estimate"
+          onClick={() => onChange(propertyKey, null)}
+          style={{ ...propertyInputStyle, padding: '0 4px', cursor: 'pointer' }}
+        >
+          ↺
+        </button>
+      )}
+    </div>
+  );
+}
+
+const propertyInputStyle = {
+  padding: '2px 4px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+// TLE validation problems: errors block the simulation, warnings do not
+function TleMessages({ errors, warnings }) {
+  if (errors.length === 0 && warnings.length === 0) return null;
+  return (
+    <div style={{ marginTop: '8px', fontSize: '12px' }}>
+      {errors.map(message => (
+        <div key={message} style={{ color: '#f87171' }}>✕ {message}</div>
+      ))}
+      {warnings.map(message => (
+        <div key={message} style={{ color: '#fbbf24' }}>⚠ {message}</div>
+      ))}
+    </div>
+  );
+}
+
 function ResultCard({ label, value, unit, color }) {
   return (
     <div style={{
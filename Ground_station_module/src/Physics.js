@@ -928,7 +928,7 @@ function calculateMissionCost(totalEnergyGJ, durationDays) {
   };
 }
 
-export { calculateMissionCost };
+export { calculateMissionCost, estimateDebrisProperties };
 
 /**
  * Validate debris parameters for physics calculations
@@ -0,0 +1,187 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { PLACEMENT_OBJECTIVE } from './placementOptimizer.js';
+import { createStation } from './stations.js';
+
+const DEFAULT_EVALUATION_DAYS = 7;
+
+// Objective score in display units
+function formatScore(objective, score) {
+  return objective === PLACEMENT_OBJECTIVE.PASSES
+    ? `${score.toFixed(2)} passes/day`
+    : `${(-score).toFixed(1)} campaign days`;
+}
+
+function formatGain(objective, gain) {
+  return objective === PLACEMENT_OBJECTIVE.PASSES
+    ? `+${gain.toFixed(2)} passes/day`
+    : `−${gain.toFixed(1)} days`;
+}
+
+// "Where should the next station go?" - suggests sites and publishes candidate scores for the map heatmap
+export default function PlacementOptimizer({ stations, catalog, onAddStations, scenario, selectedDebris, placement, setPlacement }) {
+  const [open, setOpen] = useState(false);
+  const [targetIds, setTargetIds] = useState(() => (selectedDebris ? [selectedDebris.id] : []));
+  const [objective, setObjective] = useState(PLACEMENT_OBJECTIVE.PASSES);
+  const [count, setCount] = useState(3);
+  const [evaluationDays, setEvaluationDays] = useState(DEFAULT_EVALUATION_DAYS);
+  const [progress, setProgress] = useState(null);
+  const workerRef = useRef(null);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  useEffect(() => stopWorker, []);
+
+  const toggleTarget = (id) => {
+    setTargetIds(targetIds.includes(id) ? targetIds.filter(t => t !== id) : [...targetIds, id]);
+  };
+
+  const runOptimizer = () => {
+    const targets = catalog.filter(debris => targetIds.includes(debris.id));
+    if (targets.length === 0) {
+      alert('Select at least one target debris object');
+      return;
+    }
+
+    setPlacement(null);
+    setProgress({ round: 0, rounds: count, evaluated: 0, candidates: 1 });
+
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('./optimizerWorker.js', import.meta.url), { type: 'module' });
+    }
+    const worker = workerRef.current;
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      switch (message.type) {
+        case 'progress':
+          setProgress(message);
+          break;
+        case 'result':
+          setProgress(null);
+          setPlacement(message.result);
+          break;
+        case 'error':
+          setProgress(null);
+          alert(message.message);
+          break;
+      }
+    };
+    worker.onerror = (e) => {
+      stopWorker();
+      setProgress(null);
+      alert(`Optimization failed: ${e.message}`);
+    };
+
+    worker.postMessage({
+      stations,
+      targets,
+      count,
+      objective,
+      scenario: { startEpoch: scenario.startEpoch, horizonDays: evaluationDays }
+    });
+  };
+
+  const cancelOptimizer = () => {
+    stopWorker();
+    setProgress(null);
+  };
+
+  const addSuggestions = () => {
+    onAddStations(placement.suggestions.map(({ name, lat, lng, altitude }) => createStation({ name, lat, lng, altitude })));
+    setPlacement(null);
+  };
+
+  return (
+    <div style={{ padding: '10px 15px', background: 'rgba(15, 23, 42, 0.8)', color: '#e0e7ff', borderTop: '1px solid rgba(30, 58, 138, 0.5)', fontSize: '12px' }}>
+      <div onClick={() => setOpen(!open)} style={{ cursor: 'pointer', fontWeight: 'bold', color: '#a5b4fc' }}>
+        {open ? '▾' : '▸'} Placement Optimizer
+      </div>
+
+      {open && (
+        <div style={{ marginTop: '8px' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '8px', maxHeight: '120px', overflowY: 'auto' }}>
+            {catalog.map(debris => (
+              <label key={debris.id}>
+                <input type="checkbox" checked={targetIds.includes(debris.id)} onChange={() => toggleTarget(debris.id)} />{' '}
+                {debris.name}
+              </label>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center' }}>
+            <label>
+              Goal{' '}
+              <select value={objective} onChange={(e) => setObjective(e.target.value)} style={inputStyle}>
+                <option value={PLACEMENT_OBJECTIVE.PASSES}>Most engageable passes/day</option>
+                <option value={PLACEMENT_OBJECTIVE.DURATION}>Shortest campaigns</option>
+              </select>
+            </label>
+            <label>
+              Sites{' '}
+              <input type="number" min="1" max="10" value={count} onChange={(e) => setCount(Math.max(1, parseInt(e.target.value, 10) || 1))} style={{ ...inputStyle, width: '45px' }} />
+            </label>
+            <label>
+              Window (days){' '}
+              <input type="number" min="1" max="90" value={evaluationDays} onChange={(e) => setEvaluationDays(Math.max(1, parseInt(e.target.value, 10) || 1))} style={{ ...inputStyle, width: '45px' }} />
+            </label>
+            {progress
+              ? <button onClick={cancelOptimizer} style={buttonStyle}>Cancel</button>
+              : <button onClick={runOptimizer} style={buttonStyle}>Suggest sites</button>}
+          </div>
+
+          {progress && (
+            <div style={{ marginTop: '6px', opacity: 0.8 }}>
+              Site {progress.round}/{progress.rounds} • candidate {progress.evaluated}/{progress.candidates}
+            </div>
+          )}
+
+          {placement && (
+            <div style={{ marginTop: '8px' }}>
+              <div style={{ opacity: 0.8 }}>Current network: {formatScore(placement.objective, placement.baseline)}</div>
+              {placement.suggestions.length === 0 && <div>No candidate site improves the network.</div>}
+              {placement.unfinished.length > 0 && (
+                <div style={{ color: '#fbbf24' }}>
+                  ⚠ {placement.unfinished.join(', ')} {placement.unfinished.length === 1 ? 'does' : 'do'} not re-enter within the {evaluationDays}-day window; lengthen it to compare sites by campaign length.
+                </div>
+              )}
+              {placement.suggestions.map(site => (
+                <div key={site.name} style={{ marginTop: '2px' }}>
+                  {site.round}. <strong>{site.name}</strong> ({site.lat.toFixed(2)}°, {site.lng.toFixed(2)}°) •{' '}
+                  {formatGain(placement.objective, site.gain)} → {formatScore(placement.objective, site.score)}
+                </div>
+              ))}
+              <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                {placement.suggestions.length > 0 && (
+                  <button onClick={addSuggestions} style={buttonStyle}>Add suggested sites</button>
+                )}
+                <button onClick={() => setPlacement(null)} style={buttonStyle}>Clear heatmap</button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const inputStyle = {
+  padding: '3px 6px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: 'rgba(30, 58, 138, 0.6)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.4)',
+  borderRadius: '4px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
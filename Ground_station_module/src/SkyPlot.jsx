@@ -0,0 +1,90 @@
+import React from 'react';
+
+const SIZE = 260;
+const CENTER = SIZE / 2;
+const RADIUS = 105;
+
+// Zenith at the centre, horizon on the outer ring, north up and east to the right
+function toXY(azimuth, elevation) {
+  const r = RADIUS * (90 - Math.max(0, elevation)) / 90;
+  const az = azimuth * Math.PI / 180;
+  return [CENTER + r * Math.sin(az), CENTER - r * Math.cos(az)];
+}
+
+function pointsOf(samples) {
+  return samples.map(sample => toXY(sample.azimuth, sample.elevation).join(',')).join(' ');
+}
+
+// Polylines over consecutive flagged samples; a flag covers the segment to the
+// next sample, so each run also takes the sample that follows it
+function runsWhere(samples, predicate) {
+  const runs = [];
+  let run = null;
+  samples.forEach(sample => {
+    if (run) run.push(sample);
+    if (predicate(sample)) {
+      if (!run) {
+        run = [sample];
+        runs.push(run);
+      }
+    } else {
+      run = null;
+    }
+  });
+  return runs;
+}
+
+function EventMarker({ event, label, color }) {
+  const [x, y] = toXY(event.azimuth, event.elevation);
+  return (
+    <g>
+      <circle cx={x} cy={y} r="4" fill={color} stroke="#0f172a" strokeWidth="1" />
+      <text x={x + 6} y={y - 6} fill={color} fontSize="10" fontWeight="bold">{label}</text>
+    </g>
+  );
+}
+
+// Polar az/el plot of one pass from the station's point of view
+export default function SkyPlot({ pass }) {
+  const { track, mask } = pass.sky;
+  const maskOutline = pointsOf([...mask, mask[0]]);
+  const firingRuns = runsWhere(track, sample => sample.firing);
+
+  return (
+    <svg width={SIZE} height={SIZE} style={{ display: 'block', margin: '8px auto 0' }}>
+      {/* Elevation limit: the shaded band between horizon and mask is out of reach */}
+      <circle cx={CENTER} cy={CENTER} r={RADIUS} fill="rgba(245, 158, 11, 0.18)" stroke="rgba(59, 130, 246, 0.5)" />
+      <polygon points={maskOutline} fill="rgba(15, 23, 42, 0.95)" stroke="#f59e0b" strokeDasharray="4 2" />
+
+      {/* Elevation rings and azimuth spokes */}
+      {[30, 60].map(elevation => (
+        <g key={elevation}>
+          <circle cx={CENTER} cy={CENTER} r={RADIUS * (90 - elevation) / 90} fill="none" stroke="rgba(59, 130, 246, 0.3)" />
+          <text x={CENTER + 2} y={CENTER - RADIUS * (90 - elevation) / 90 - 2} fill="#64748b" fontSize="9">{elevation}°</text>
+        </g>
+      ))}
+      {[0, 90, 180, 270].map(azimuth => {
+        const [x, y] = toXY(azimuth, 0);
+        return <line key={azimuth} x1={CENTER} y1={CENTER} x2={x} y2={y} stroke="rgba(59, 130, 246, 0.2)" />;
+      })}
+      {[['N', 0], ['E', 90], ['S', 180], ['W', 270]].map(([label, azimuth]) => {
+        const az = azimuth * Math.PI / 180;
+        return (
+          <text key={label} x={CENTER + (RADIUS + 12) * Math.sin(az)} y={CENTER - (RADIUS + 12) * Math.cos(az) + 4} fill="#a5b4fc" fontSize="11" textAnchor="middle">
+            {label}
+          </text>
+        );
+      })}
+
+      {/* Pass trace, with the sub-arcs where the laser fired */}
+      <polyline points={pointsOf(track)} fill="none" stroke="#818cf8" strokeWidth="2" />
+      {firingRuns.map((run, i) => (
+        <polyline key={i} points={pointsOf(run)} fill="none" stroke="#ef4444" strokeWidth="4" strokeLinecap="round" />
+      ))}
+
+      <EventMarker event={pass.aos} label="AOS" color="#10b981" />
+      <EventMarker event={pass.tca} label="TCA" color="#fbbf24" />
+      <EventMarker event={pass.los} label="LOS" color="#f87171" />
+    </svg>
+  );
+}
@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { createStation, validateStation, normalizeLongitude } from './stations.js';
+import { LASER_CONFIGS } from './laserConfigs.js';
+import { PRESET_NETWORKS, loadSavedNetworks, saveNetwork, deleteSavedNetwork, instantiateNetwork } from './stationNetworks.js';
+
+// Editable copy of a station's numeric fields, in display units
+function toDraft(station) {
+  return {
+    name: station.name,
+    lat: station.lat.toFixed(4),
+    lng: station.lng.toFixed(4),
+    altitude: String(Math.round((station.altitude || 0) * 1000)), // m
+    minElevation: String(station.minElevation)
+  };
+}
+
+function StationRow({ station, onUpdate, onDelete }) {
+  const [draft, setDraft] = useState(() => toDraft(station));
+
+  // Follow changes made elsewhere (marker drag, popup edits)
+  useEffect(() => {
+    setDraft(toDraft(station));
+  }, [station.name, station.lat, station.lng, station.altitude, station.minElevation]);
+
+  const applyDraft = () => {
+    const changes = {
+      name: draft.name.trim() || station.name,
+      lat: parseFloat(draft.lat),
+      lng: parseFloat(draft.lng),
+      altitude: parseFloat(draft.altitude) / 1000,
+      minElevation: parseFloat(draft.minElevation)
+    };
+    const problem = validateStation(changes);
+    if (problem) {
+      alert(`${station.name}: ${problem}`);
+      setDraft(toDraft(station));
+      return;
+    }
+    onUpdate(station.id, changes);
+  };
+
+  const field = (key, width, type = 'number') => (
+    <input
+      type={type}
+      value={draft[key]}
+      onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+      onBlur={applyDraft}
+      onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+      style={{ ...inputStyle, width }}
+    />
+  );
+
+  return (
+    <div style={{
+      padding: '8px',
+      marginBottom: '6px',
+      background: 'rgba(15, 23, 42, 0.6)',
+      borderRadius: '6px',
+      border: `1px solid ${station.active ? 'rgba(59, 130, 246, 0.4)' : 'rgba(71, 85, 105, 0.4)'}`,
+      opacity: station.active ? 1 : 0.6
+    }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <input
+          type="checkbox"
+          checked={station.active}
+          onChange={(e) => onUpdate(station.id, { active: e.target.checked })}
+          title="Active"
+        />
+        {field('name', '140px', 'text')}
+        <select
+          value={station.laserConfig}
+          onChange={(e) => onUpdate(station.id, { laserConfig: e.target.value })}
+          style={{ ...inputStyle, flex: 1 }}
+        >
+          {Object.entries(LASER_CONFIGS).map(([id, config]) => (
+            <option key={id} value={id}>{config.name}</option>
+          ))}
+        </select>
+        <button onClick={() => onDelete(station.id)} style={buttonStyle} title="Delete station">✕</button>
+      </div>
+      <div style={{ display: 'flex', gap: '10px', marginTop: '6px', fontSize: '11px', color: '#a5b4fc', flexWrap: 'wrap' }}>
+        <label>Lat {field('lat', '70px')}</label>
+        <label>Lng {field('lng', '75px')}</label>
+        <label>Alt (m) {field('altitude', '55px')}</label>
+        <label>Min El (°) {field('minElevation', '40px')}</label>
+      </div>
+    </div>
+  );
+}
+
+// Network selector values are prefixed so presets and saved networks can share a name
+const PRESET_PREFIX = 'preset:';
+const SAVED_PREFIX = 'saved:';
+
+// Load, save and delete named station networks
+function NetworkBar({ stations, setStations }) {
+  const [savedNetworks, setSavedNetworks] = useState(loadSavedNetworks);
+  const [selected, setSelected] = useState('');
+  const [networkName, setNetworkName] = useState('');
+
+  const findNetwork = (value) => {
+    if (value.startsWith(PRESET_PREFIX)) {
+      return PRESET_NETWORKS.find(network => network.name === value.slice(PRESET_PREFIX.length));
+    }
+    return savedNetworks.find(network => network.name === value.slice(SAVED_PREFIX.length));
+  };
+
+  const handleLoad = () => {
+    const network = selected && findNetwork(selected);
+    if (!network) return;
+    if (stations.length > 0 && !window.confirm(`Replace the ${stations.length} current stations with "${network.name}"?`)) {
+      return;
+    }
+    setStations(instantiateNetwork(network));
+    if (selected.startsWith(SAVED_PREFIX)) setNetworkName(network.name);
+  };
+
+  const handleSave = () => {
+    if (stations.length === 0) {
+      alert('Place at least one station before saving a network');
+      return;
+    }
+    try {
+      setSavedNetworks(saveNetwork(networkName, stations));
+      setSelected(SAVED_PREFIX + networkName.trim());
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = () => {
+    setSavedNetworks(deleteSavedNetwork(selected.slice(SAVED_PREFIX.length)));
+    setSelected('');
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px', fontSize: '12px', flexWrap: 'wrap' }}>
+      <select value={selected} onChange={(e) => setSelected(e.target.value)} style={{ ...inputStyle, flex: 1, minWidth: '160px' }}>
+        <option value="">-- Station network --</option>
+        <optgroup label="Presets">
+          {PRESET_NETWORKS.map(network => (
+            <option key={network.name} value={PRESET_PREFIX + network.name}>
+              {network.name} ({network.stations.length})
+            </option>
+          ))}
+        </optgroup>
+        {savedNetworks.length > 0 && (
+          <optgroup label="Saved">
+            {savedNetworks.map(network => (
+              <option key={network.name} value={SAVED_PREFIX + network.name}>
+                {network.name} ({network.stations.length})
+              </option>
+            ))}
+          </optgroup>
+        )}
+      </select>
+      <button onClick={handleLoad} disabled={!selected} style={buttonStyle}>Load</button>
+      {selected.startsWith(SAVED_PREFIX) && (
+        <button onClick={handleDelete} style={buttonStyle}>Delete</button>
+      )}
+      <input
+        type="text"
+        placeholder="Network name"
+        value={networkName}
+        onChange={(e) => setNetworkName(e.target.value)}
+        style={{ ...inputStyle, width: '120px' }}
+      />
+      <button onClick={handleSave} style={buttonStyle}>Save</button>
+    </div>
+  );
+}
+
+// Station list with numeric entry, editing and removal
+export default function StationPanel({ stations, setStations }) {
+  const [newLat, setNewLat] = useState('');
+  const [newLng, setNewLng] = useState('');
+
+  const handleUpdate = (id, changes) => {
+    setStations(stations.map(station => (station.id === id ? { ...station, ...changes } : station)));
+  };
+
+  const handleDelete = (id) => {
+    setStations(stations.filter(station => station.id !== id));
+  };
+
+  const handleAdd = () => {
+    const station = createStation({ lat: parseFloat(newLat), lng: normalizeLongitude(parseFloat(newLng)) });
+    const problem = validateStation(station);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    setStations([...stations, station]);
+    setNewLat('');
+    setNewLng('');
+  };
+
+  return (
+    <div style={{ padding: '10px 15px', background: 'rgba(15, 23, 42, 0.8)', color: '#e0e7ff', borderTop: '1px solid rgba(30, 58, 138, 0.5)', maxHeight: '260px', overflowY: 'auto' }}>
+      <NetworkBar stations={stations} setStations={setStations} />
+
+      {stations.map(station => (
+        <StationRow key={station.id} station={station} onUpdate={handleUpdate} onDelete={handleDelete} />
+      ))}
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '12px' }}>
+        <span style={{ color: '#a5b4fc' }}>Add at</span>
+        <input type="number" placeholder="Lat" value={newLat} onChange={(e) => setNewLat(e.target.value)} style={{ ...inputStyle, width: '80px' }} />
+        <input type="number" placeholder="Lng" value={newLng} onChange={(e) => setNewLng(e.target.value)} style={{ ...inputStyle, width: '80px' }} />
+        <button onClick={handleAdd} style={buttonStyle}>Add station</button>
+      </div>
+    </div>
+  );
+}
+
+const inputStyle = {
+  padding: '4px 6px',
+  background: 'rgba(15, 23, 42, 0.8)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.3)',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+const buttonStyle = {
+  padding: '4px 8px',
+  background: 'rgba(30, 58, 138, 0.6)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.4)',
+  borderRadius: '4px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
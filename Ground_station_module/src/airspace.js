@@ -0,0 +1,254 @@
+import { destinationPoint } from './coverage.js';
+
+/**
+ * Airspace No-Fire Zones
+ * Per-station exclusion volumes (air corridors, restricted sectors) read from
+ * GeoJSON, the nominal ocular hazard distance of a laser, and the blocking of
+ * engagement intervals whose beam path crosses a zone inside that distance.
+ */
+
+const EARTH_RADIUS_KM = 6371.0;
+const DEG = Math.PI / 180;
+const FEET = 0.3048; // m
+const UNLIMITED_CEILING_KM = 30; // "UNL" zones are treated as reaching this high
+const CIRCLE_SEGMENTS = 36; // Point-and-radius zones become polygons with this many sides
+const PATH_STEP_KM = 0.5; // Ground spacing of the points tested along the beam path
+const BOX_MARGIN_DEG = 0.05; // Slack for the path bending away from a straight lat/lng line
+const MAX_EXPOSURE_SECONDS = 10; // Infrared exposure duration for the repetitive-pulse MPE
+
+/**
+ * Altitude limit in meters from a GeoJSON property: a number of meters, or a
+ * string such as "SFC", "GND", "UNL", "FL245", "12000 ft" or "3000 m"
+ * @param {number|string} value - Property value
+ * @param {number} fallback - Meters when the property is missing
+ * @returns {number} - Meters above mean sea level (Infinity for unlimited)
+ */
+function parseAltitudeLimit(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'number') return value;
+
+  const text = String(value).trim().toUpperCase();
+  if (text === 'SFC' || text === 'GND') return 0;
+  if (text === 'UNL' || text === 'UNLTD') return Infinity;
+  const flightLevel = text.match(/^FL\s*(\d+)$/);
+  if (flightLevel) return Number(flightLevel[1]) * 100 * FEET;
+  const withUnit = text.match(/^(-?[\d.]+)\s*(FT|M)?$/);
+  if (withUnit) return Number(withUnit[1]) * (withUnit[2] === 'FT' ? FEET : 1);
+  throw new Error(`unreadable altitude limit "${value}"`);
+}
+
+// Outer ring of a Point-and-radius zone, [lng, lat] pairs
+function circleRing([lng, lat], radiusMeters) {
+  const angle = radiusMeters / (EARTH_RADIUS_KM * 1000);
+  const ring = [];
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const [pointLat, pointLng] = destinationPoint(lat, lng, (360 * i) / CIRCLE_SEGMENTS, angle);
+    ring.push([pointLng, pointLat]);
+  }
+  return ring;
+}
+
+/**
+ * Parse no-fire zones from GeoJSON. Each Polygon, MultiPolygon or Point with a
+ * "radius" property (meters) becomes a zone; altitude bands come from
+ * "floor"/"ceiling" (or "lowerLimit"/"upperLimit") properties and default to
+ * surface and unlimited. Polygon holes are ignored, which only adds caution.
+ * @param {string} text - GeoJSON FeatureCollection, Feature or geometry
+ * @returns {Array} - [{ name, rings: [[[lng, lat], ...]], floorKm, ceilingKm }]
+ */
+export function parseNoFireZones(text) {
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+  const features = geojson.type === 'FeatureCollection' ? geojson.features
+    : geojson.type === 'Feature' ? [geojson]
+      : [{ type: 'Feature', properties: {}, geometry: geojson }];
+
+  const zones = features.map((feature, index) => {
+    const properties = feature.properties || {};
+    const geometry = feature.geometry || {};
+    const name = properties.name || properties.NAME || `Zone ${index + 1}`;
+
+    let rings;
+    if (geometry.type === 'Polygon') {
+      rings = [geometry.coordinates[0]];
+    } else if (geometry.type === 'MultiPolygon') {
+      rings = geometry.coordinates.map(polygon => polygon[0]);
+    } else if (geometry.type === 'Point' && properties.radius > 0) {
+      rings = [circleRing(geometry.coordinates, properties.radius)];
+    } else {
+      throw new Error(`${name}: expected a Polygon, MultiPolygon or Point with a radius, got ${geometry.type || 'no geometry'}`);
+    }
+
+    try {
+      const floor = parseAltitudeLimit(properties.floor ?? properties.lowerLimit, 0);
+      const ceiling = parseAltitudeLimit(properties.ceiling ?? properties.upperLimit, Infinity);
+      if (ceiling <= floor) throw new Error('ceiling is not above floor');
+      return {
+        name,
+        rings,
+        floorKm: floor / 1000,
+        ceilingKm: Number.isFinite(ceiling) ? ceiling / 1000 : UNLIMITED_CEILING_KM
+      };
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  });
+
+  if (zones.length === 0) {
+    throw new Error('GeoJSON contains no zones');
+  }
+  return zones;
+}
+
+/**
+ * Maximum permissible exposure for the eye to a train of nanosecond pulses,
+ * after the ANSI Z136.1 single-pulse limits for 1 ns - 18 µs (visible) and
+ * 1 ns - 50 µs (near infrared), reduced for a 10 s exposure to the train
+ * @param {object} laser - Laser configuration
+ * @returns {number|null} - J/m² per pulse, or null outside 400-1400 nm
+ */
+function pulseTrainMpe(laser) {
+  const wavelengthNm = laser.WAVELENGTH * 1e9;
+  let singlePulse;
+  if (wavelengthNm >= 400 && wavelengthNm < 700) {
+    singlePulse = 5e-3;
+  } else if (wavelengthNm >= 700 && wavelengthNm < 1050) {
+    singlePulse = 5e-3 * Math.pow(10, 2 * (wavelengthNm / 1000 - 0.7)); // C_A
+  } else if (wavelengthNm >= 1050 && wavelengthNm <= 1400) {
+    const cc = wavelengthNm < 1150 ? 1 : wavelengthNm < 1200 ? Math.pow(10, 0.018 * (wavelengthNm - 1150)) : 8;
+    singlePulse = 5e-2 * cc;
+  } else {
+    return null;
+  }
+  const pulses = laser.REPETITION_RATE * MAX_EXPOSURE_SECONDS;
+  return singlePulse * Math.pow(pulses, -0.25); // C_P
+}
+
+/**
+ * Nominal ocular hazard distance: the range beyond which the beam no longer
+ * exceeds the eye MPE, with no atmospheric attenuation
+ * @param {object} laser - Laser configuration
+ * @returns {number} - Meters (Infinity when no MPE applies to the wavelength)
+ */
+export function nominalOcularHazardDistance(laser) {
+  const mpe = pulseTrainMpe(laser);
+  if (!mpe) return Infinity;
+  // Full-angle divergence, consistent with the beam spread used for fluence
+  const divergence = 2 * (laser.BEAM_QUALITY * laser.WAVELENGTH) / (Math.PI * (laser.TRANSMITTER_DIAMETER / 2));
+  const hazardDiameter = Math.sqrt((4 * laser.PULSE_ENERGY) / (Math.PI * mpe));
+  return Math.max(0, (hazardDiameter - laser.TRANSMITTER_DIAMETER) / divergence);
+}
+
+// Longitude relative to the station, in [-180, 180)
+function relativeLng(lng, originLng) {
+  return ((((lng - originLng) + 540) % 360) - 180);
+}
+
+// Ray casting in longitude/latitude, with longitudes taken relative to the station
+function insideRing(lat, lng, ring, originLng) {
+  const wrap = (value) => relativeLng(value, originLng);
+  const x = wrap(lng);
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const xi = wrap(ring[i][0]);
+    const yi = ring[i][1];
+    const xj = wrap(ring[j][0]);
+    const yj = ring[j][1];
+    if ((yi > lat) !== (yj > lat) && x < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Slant range at which a ray from the station reaches an altitude (spherical Earth)
+ * @param {number} stationRadius - km from the Earth's centre
+ * @param {number} sinElevation - Sine of the beam elevation
+ * @param {number} altitudeKm - Altitude above mean sea level
+ * @returns {number} - km, 0 when the station is already above it
+ */
+function slantRangeToAltitude(stationRadius, sinElevation, altitudeKm) {
+  const radius = EARTH_RADIUS_KM + altitudeKm;
+  if (radius <= stationRadius) return 0;
+  return -stationRadius * sinElevation
+    + Math.sqrt(stationRadius * stationRadius * sinElevation * sinElevation + radius * radius - stationRadius * stationRadius);
+}
+
+/**
+ * First zone the beam crosses within the hazard distance, if any
+ * @returns {object|null} - Zone
+ */
+function blockingZone(station, zones, azimuth, elevation, hazardKm) {
+  const stationRadius = EARTH_RADIUS_KM + (station.altitude || 0);
+  const sinElevation = Math.sin(elevation * DEG);
+  const cosElevation = Math.cos(elevation * DEG);
+
+  return zones.find(zone => {
+    const near = slantRangeToAltitude(stationRadius, sinElevation, zone.floorKm);
+    const far = Math.min(slantRangeToAltitude(stationRadius, sinElevation, zone.ceilingKm), hazardKm);
+    if (far <= near) return false;
+
+    // Ground point under the beam path at a slant range
+    const groundPoint = (slant) => {
+      const radius = Math.sqrt(stationRadius * stationRadius + slant * slant + 2 * stationRadius * slant * sinElevation);
+      return destinationPoint(station.lat, station.lng, azimuth, Math.asin((slant * cosElevation) / radius));
+    };
+
+    // Quick reject when the path's bounding box misses the zone's
+    const [nearLat, nearLng] = groundPoint(near);
+    const [farLat, farLng] = groundPoint(far);
+    const lats = zone.rings.flat().map(([, lat]) => lat);
+    const lngs = zone.rings.flat().map(([lng]) => relativeLng(lng, station.lng));
+    const pathLngs = [relativeLng(nearLng, station.lng), relativeLng(farLng, station.lng)];
+    if (Math.max(nearLat, farLat) + BOX_MARGIN_DEG < Math.min(...lats)
+      || Math.min(nearLat, farLat) - BOX_MARGIN_DEG > Math.max(...lats)
+      || Math.max(...pathLngs) + BOX_MARGIN_DEG < Math.min(...lngs)
+      || Math.min(...pathLngs) - BOX_MARGIN_DEG > Math.max(...lngs)) {
+      return false;
+    }
+
+    const steps = Math.max(1, Math.ceil(((far - near) * cosElevation) / PATH_STEP_KM));
+    for (let k = 0; k <= steps; k++) {
+      const [lat, lng] = groundPoint(near + ((far - near) * k) / steps);
+      if (zone.rings.some(ring => insideRing(lat, lng, ring, station.lng))) return true;
+    }
+    return false;
+  }) || null;
+}
+
+/**
+ * Intervals of a pass in which the beam would cross one of the station's
+ * no-fire zones. An interval is blocked when the beam crosses a zone at
+ * either of its ends.
+ * @param {object} pass - Predicted pass with its 1 s engagement profile
+ * @param {object} station - Station with lat, lng, altitude and noFireZones
+ * @param {object} laser - The station's laser configuration
+ * @returns {Array} - [{ startMs, endMs, name }] by start time
+ */
+export function airspaceClosures(pass, station, laser) {
+  const zones = station.noFireZones;
+  if (!zones || zones.length === 0) return [];
+  const hazardKm = nominalOcularHazardDistance(laser) / 1000;
+
+  const blockedBy = pass.profile.map(sample => (sample.engageable
+    ? blockingZone(station, zones, sample.azimuth, sample.elevation, hazardKm)
+    : null));
+
+  const closures = [];
+  for (let i = 0; i < pass.profile.length - 1; i++) {
+    const zone = blockedBy[i] || (pass.profile[i].engageable && blockedBy[i + 1]);
+    if (!zone) continue;
+    const startMs = pass.profile[i].time.getTime();
+    const endMs = pass.profile[i + 1].time.getTime();
+    const last = closures[closures.length - 1];
+    if (last && last.endMs === startMs && last.name === zone.name) {
+      last.endMs = endMs;
+    } else {
+      closures.push({ startMs, endMs, name: zone.name });
+    }
+  }
+  return closures;
+}
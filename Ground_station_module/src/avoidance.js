@@ -0,0 +1,202 @@
+import * as satellite from 'satellite.js';
+
+/**
+ * Predictive Avoidance Screening
+ * Checks each engagement against a catalog of protected satellites loaded from
+ * a local TLE file. Wherever another object comes within the keep-out angle of
+ * the beam line, the station must hold fire; those closures are cut out of the
+ * firing intervals.
+ */
+
+const DEG = Math.PI / 180;
+export const DEFAULT_SEPARATION_DEG = 1; // Keep-out half-angle around the beam line
+const COARSE_STEP_SECONDS = 20; // Every object is checked this often
+// Fastest an object can move across the sky: orbital speed near perigee plus
+// Earth rotation. Bounds how close it can get between two samples.
+const MAX_OBJECT_SPEED = 11; // km/s
+const MIN_BOUND_RANGE = 100; // km, floor for the angular-rate bound
+
+/**
+ * Split two-line or three-line element text into objects. Lines that are not
+ * part of a valid-looking element set are skipped.
+ * @param {string} text - TLE file contents
+ * @returns {Array} - [{ name, noradId, tle1, tle2 }]
+ */
+export function parseTleCatalog(text) {
+  const lines = text.split(/\r?\n/).map(line => line.trimEnd()).filter(line => line.trim());
+  const objects = [];
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    const tle1 = lines[i];
+    const tle2 = lines[i + 1];
+    if (!tle1.startsWith('1 ') || !tle2.startsWith('2 ')) continue;
+
+    const noradId = tle1.substring(2, 7).trim();
+    const previous = i > 0 ? lines[i - 1] : '';
+    const named = previous && !previous.startsWith('1 ') && !previous.startsWith('2 ');
+    objects.push({
+      name: named ? previous.replace(/^0 /, '').trim() : `NORAD ${noradId}`,
+      noradId,
+      tle1,
+      tle2
+    });
+    i += 1;
+  }
+
+  if (objects.length === 0) {
+    throw new Error('No two-line element sets found');
+  }
+  return objects;
+}
+
+/**
+ * NORAD catalog number of a TLE
+ * @param {string} tle1 - First line of TLE data
+ * @returns {string}
+ */
+export function noradIdOf(tle1) {
+  return tle1.substring(2, 7).trim();
+}
+
+// East-north-up unit vector of a look direction
+function lookVector(azimuth, elevation) {
+  return [Math.sin(azimuth) * Math.cos(elevation), Math.cos(azimuth) * Math.cos(elevation), Math.sin(elevation)];
+}
+
+function midway(a, b) {
+  const sum = [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+  const norm = Math.hypot(...sum) || 1;
+  return sum.map(value => value / norm);
+}
+
+function angleBetween(a, b) {
+  const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  return Math.acos(Math.max(-1, Math.min(1, dot)));
+}
+
+/**
+ * Screening for one campaign: the protected catalog is initialised once and
+ * reused for every pass.
+ * @param {Array} objects - [{ name, noradId, tle1, tle2 }] protected catalog
+ * @param {object} options - { separationDeg, excludeNoradId: the target's own catalog number }
+ * @returns {object} - { objectCount, separationDeg, screenPass(pass, station) }
+ */
+export function createAvoidanceScreen(objects, { separationDeg = DEFAULT_SEPARATION_DEG, excludeNoradId = null } = {}) {
+  const catalog = objects
+    .filter(object => object.noradId !== excludeNoradId)
+    .map(object => ({ ...object, satrec: satellite.twoline2satrec(object.tle1, object.tle2) }))
+    .filter(object => !object.satrec.error);
+  const threshold = separationDeg * DEG;
+
+  /**
+   * Direction and range of an object from the station
+   * @returns {object|null} - { vector, range } or null when propagation fails
+   */
+  const lookAt = (object, observerGd, timeMs) => {
+    const time = new Date(timeMs);
+    const positionAndVelocity = satellite.propagate(object.satrec, time);
+    if (!positionAndVelocity || !positionAndVelocity.position) return null;
+    const positionEcf = satellite.eciToEcf(positionAndVelocity.position, satellite.gstime(time));
+    const look = satellite.ecfToLookAngles(observerGd, positionEcf);
+    return { vector: lookVector(look.azimuth, look.elevation), range: look.rangeSat };
+  };
+
+  /**
+   * Whether an object can come inside the keep-out angle between two coarse
+   * samples. The separation at any instant is at least the separation at
+   * either sample less how far the beam and the object can have moved since,
+   * so the closest approach is bounded by half the sum of the two separations
+   * less the total movement. Errs on the side of refining.
+   */
+  const mayClose = (from, to, beamArc, seconds) => {
+    const minRange = Math.max((from.range + to.range - MAX_OBJECT_SPEED * seconds) / 2, MIN_BOUND_RANGE);
+    const objectArc = MAX_OBJECT_SPEED * seconds / minRange;
+    return (from.separation + to.separation - beamArc - objectArc) / 2 < threshold;
+  };
+
+  /**
+   * Closures over the engageable part of a pass
+   * @param {object} pass - Predicted pass with its 1 s engagement profile
+   * @param {object} station - Station { lat, lng, altitude }
+   * @returns {Array} - [{ startMs, endMs, noradId, name, minSeparation (deg) }] by start time
+   */
+  const screenPass = (pass, station) => {
+    const first = pass.profile.findIndex(sample => sample.engageable);
+    if (first === -1 || catalog.length === 0) return [];
+    let last = pass.profile.length - 1;
+    while (!pass.profile[last].engageable) last--;
+    last = Math.min(last + 1, pass.profile.length - 1); // The last engageable sample's interval ends here
+
+    const observerGd = {
+      latitude: station.lat * DEG,
+      longitude: station.lng * DEG,
+      height: station.altitude || 0
+    };
+    const samples = pass.profile.slice(first, last + 1).map(sample => ({
+      timeMs: sample.time.getTime(),
+      beam: lookVector(sample.azimuth * DEG, sample.elevation * DEG)
+    }));
+    // Beam movement from each sample to the next
+    const beamSteps = samples.slice(0, -1).map((sample, i) => angleBetween(sample.beam, samples[i + 1].beam));
+
+    const coarse = [];
+    for (let i = 0; i < samples.length - 1; i += COARSE_STEP_SECONDS) coarse.push(i);
+    coarse.push(samples.length - 1);
+
+    const sampleAt = (object, i) => {
+      const look = lookAt(object, observerGd, samples[i].timeMs);
+      return look && { vector: look.vector, separation: angleBetween(look.vector, samples[i].beam), range: look.range };
+    };
+
+    const closures = [];
+    catalog.forEach(object => {
+      let closure = null;
+      let previous = sampleAt(object, coarse[0]);
+
+      for (let c = 0; c < coarse.length - 1; c++) {
+        const from = coarse[c];
+        const to = coarse[c + 1];
+        const next = sampleAt(object, to);
+        if (!previous || !next) {
+          previous = next;
+          continue;
+        }
+        let beamArc = 0;
+        for (let i = from; i < to; i++) beamArc += beamSteps[i];
+
+        if (mayClose(previous, next, beamArc, (samples[to].timeMs - samples[from].timeMs) / 1000)) {
+          // Refine second by second, taking the closest of each interval's
+          // ends and midpoint
+          let fine = previous;
+          for (let i = from; i < to; i++) {
+            const after = i + 1 === to ? next : sampleAt(object, i + 1);
+            if (!after) break;
+            const midpoint = angleBetween(midway(fine.vector, after.vector), midway(samples[i].beam, samples[i + 1].beam));
+            const separation = Math.min(fine.separation, midpoint, after.separation) / DEG;
+            if (separation < separationDeg) {
+              if (closure && closure.endMs === samples[i].timeMs) {
+                closure.endMs = samples[i + 1].timeMs;
+                closure.minSeparation = Math.min(closure.minSeparation, separation);
+              } else {
+                closure = {
+                  startMs: samples[i].timeMs,
+                  endMs: samples[i + 1].timeMs,
+                  noradId: object.noradId,
+                  name: object.name,
+                  minSeparation: separation
+                };
+                closures.push(closure);
+              }
+            }
+            fine = after;
+          }
+        }
+        previous = next;
+      }
+    });
+
+    return closures.sort((a, b) => a.startMs - b.startMs);
+  };
+
+  return { objectCount: catalog.length, separationDeg, screenPass };
+}
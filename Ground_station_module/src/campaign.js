@@ -0,0 +1,753 @@
+import { getStationPasses } from './predictionCache.js';
+import { DEFAULT_MIN_ELEVATION } from './visibility.js';
+import { trackPerigeeEvolution, estimateAtmosphericDecay, isReEntryAchieved, withTleOrbit, ORBIT_ELEMENTS } from './orbitalMechanics.js';
+import { calculateMissionCost } from './Physics.js';
+import { PASS_ILLUMINATION } from './illumination.js';
+import { createScenarioClock } from './scenarioClock.js';
+import { LASER_CONFIGS, DEFAULT_LASER_CONFIG, laserConfigFor } from './laserConfigs.js';
+import { elevationLimitAt } from './horizonMask.js';
+import { clearSkyProbability, createRandom, nightOf, percentile } from './weather.js';
+import { createAvoidanceScreen, noradIdOf } from './avoidance.js';
+import { airspaceClosures } from './airspace.js';
+import { assertValidTle } from './tleValidation.js';
+import { assessAcquisition, inTrackUncertainty, tleAgeDays } from './tleUncertainty.js';
+
+/**
+ * Campaign Simulation
+ * Pass prediction for the station network and pass-by-pass laser physics.
+ * Free of DOM and React so it can run inside missionWorker.js.
+ */
+
+// Physics constants from Physics.js (baseline laser configuration)
+export const LASER_PARAMS = LASER_CONFIGS[DEFAULT_LASER_CONFIG];
+
+// Pass details shown in the planner, and the sky-plot sampling for them
+const PASS_DETAIL_LIMIT = 20;
+const SKY_TRACK_STEP_SECONDS = 5;
+const SKY_MASK_STEP_DEG = 5;
+
+// What held fire during a closure: a protected satellite near the beam line,
+// or the beam path crossing one of the station's airspace no-fire zones
+export const CLOSURE_KIND = {
+  SATELLITE: 'SATELLITE',
+  AIRSPACE: 'AIRSPACE'
+};
+
+// Cloud Monte Carlo: trials per run, and a fixed seed so runs repeat
+export const DEFAULT_WEATHER_TRIALS = 200;
+const UNCERTAINTY_WARNING_KM = 10; // In-track error at the horizon end worth warning about
+const WEATHER_SEED = 20240601;
+
+const MATERIAL_PROPERTIES = {
+  ALUMINUM: { MAX_TEMP_RISE: 100, SPECIFIC_HEAT: 900, DENSITY: 2700 },
+  STEEL: { MAX_TEMP_RISE: 200, SPECIFIC_HEAT: 470, DENSITY: 7850 },
+  MLI: { MAX_TEMP_RISE: 80, SPECIFIC_HEAT: 1000, DENSITY: 100 }
+};
+export const MATERIALS = Object.keys(MATERIAL_PROPERTIES);
+
+/**
+ * Calculate on-target fluence (J/cm²) at a given slant range
+ */
+function calculateFluenceAtRange(distance, laser = LASER_PARAMS) {
+  // Beam radius at distance (simplified)
+  const divergenceAngle = (laser.BEAM_QUALITY * laser.WAVELENGTH) / 
+                         (Math.PI * (laser.TRANSMITTER_DIAMETER / 2));
+  const beamRadius = (laser.TRANSMITTER_DIAMETER / 2) + distance * divergenceAngle;
+  
+  // Fluence (J/cm²)
+  const beamArea = Math.PI * beamRadius * beamRadius;
+  const fluenceJm2 = (laser.PULSE_ENERGY * 0.7) / beamArea; // 0.7 = atmospheric transmission
+  return fluenceJm2 / 10000; // Convert to J/cm²
+}
+
+/**
+ * Calculate laser-induced delta-V (simplified from Physics.js)
+ */
+function calculateLaserDeltaV(pulseEnergy, mass, distance, laser = LASER_PARAMS) {
+  const fluence = calculateFluenceAtRange(distance, laser);
+  
+  // Momentum coupling coefficient (simplified)
+  let cm;
+  if (fluence < 10) {
+    cm = 5e-6;
+  } else if (fluence < 50) {
+    cm = (5 + (fluence - 10) * 0.5) * 1e-6;
+  } else {
+    cm = 25e-6;
+  }
+  
+  // Delta-V per pulse (m/s)
+  return (cm * pulseEnergy) / mass;
+}
+
+/**
+ * Calculate temperature rise from a single pulse at a given fluence
+ */
+function calculateTempRisePerPulse(debris, fluence) {
+  const specificHeat = MATERIAL_PROPERTIES[debris.material].SPECIFIC_HEAT;
+  
+  // Energy absorbed per pulse
+  const absorptionEff = fluence < 20 ? 0.3 : Math.min(0.8, 0.3 + (fluence - 20) * 0.01);
+  const energyPerPulse = fluence * 10000 * absorptionEff; // J/m²
+  
+  return (debris.areaToMass * energyPerPulse) / specificHeat;
+}
+
+/**
+ * How stations share an engagement when their passes overlap in time
+ */
+export const ENGAGEMENT_MODE = {
+  HANDOVER: 'HANDOVER', // One station fires at a time, handing over when it loses the target
+  DUAL_FIRE: 'DUAL_FIRE' // Every station with the target fires while the thermal budget allows
+};
+
+/**
+ * Append [startMs, endMs] to a list of firing intervals, extending the last
+ * interval when the two are contiguous
+ */
+function extendFiring(firing, startMs, endMs) {
+  const last = firing[firing.length - 1];
+  if (last && last[1] === startMs) {
+    last[1] = endMs;
+  } else {
+    firing.push([startMs, endMs]);
+  }
+}
+
+/**
+ * Fire on one target from one or more stations whose passes overlap in time.
+ * The profiles are stepped together on the union of their sample times; each
+ * interval uses the slant range at its start for fluence and ΔV, a station only
+ * fires while its optical tracking conditions hold, and all stations draw on
+ * the one thermal budget of the target, so firing stops for everyone once it
+ * is used up. A station holds fire through its avoidance closures.
+ * @param {object} debris - Target with material, mass and areaToMass
+ * @param {Array} members - [{ stationId, profile, laser, closures }] one per overlapping pass,
+ *   closures being optional [startMs, endMs] intervals in which that station must not fire
+ * @param {string} mode - ENGAGEMENT_MODE value
+ * @returns {object} - {
+ *   pulses, energy, deltaV, tempRise, meanFluence, peakFluence,
+ *   firing: [startMs, endMs] intervals in which any station fired,
+ *   engageableDuration: seconds in which at least one station had optical conditions,
+ *   byStation: [{ stationId, pulses, energy, deltaV, firing }] in member order,
+ *   handovers: [{ time, fromStationId, toStationId }]
+ * }
+ */
+export function simulateCoordinatedEngagement(debris, members, mode = ENGAGEMENT_MODE.HANDOVER) {
+  const thermalBudget = MATERIAL_PROPERTIES[debris.material].MAX_TEMP_RISE;
+  const boundaries = [...new Set(members.flatMap(member => member.profile.map(sample => sample.time.getTime())))]
+    .sort((a, b) => a - b);
+
+  const byStation = members.map(member => ({ stationId: member.stationId, pulses: 0, energy: 0, deltaV: 0, firing: [] }));
+  const cursors = members.map(() => 0);
+  const pulseCredits = members.map(() => 0); // Fractional pulses carried between intervals
+  const firing = [];
+  const handovers = [];
+  let tempRise = 0;
+  let pulses = 0;
+  let deltaV = 0;
+  let fluenceSum = 0;
+  let peakFluence = 0;
+  let engageableMs = 0;
+  let shooter = null; // Member index holding the target in handover mode
+  let lastShooter = null;
+
+  for (let k = 0; k < boundaries.length - 1; k++) {
+    const startMs = boundaries[k];
+    const endMs = boundaries[k + 1];
+    const dt = (endMs - startMs) / 1000; // seconds
+
+    // Sample of each member's pass covering this interval, if it is engageable
+    const engaged = [];
+    let trackable = false;
+    members.forEach(({ profile, closures = [] }, m) => {
+      while (cursors[m] < profile.length - 1 && profile[cursors[m] + 1].time.getTime() <= startMs) cursors[m]++;
+      const sample = profile[cursors[m]];
+      const inPass = sample.time.getTime() <= startMs && cursors[m] < profile.length - 1;
+      const engageable = inPass && sample.engageable;
+      trackable = trackable || engageable;
+      if (engageable && !closures.some(([from, to]) => from < endMs && to > startMs)) {
+        engaged.push({ m, distance: sample.range * 1000 }); // meters
+      } else {
+        pulseCredits[m] = 0; // Target lost or beam closed - no firing
+      }
+    });
+    if (trackable) engageableMs += endMs - startMs;
+    if (engaged.length === 0) {
+      shooter = null;
+      continue;
+    }
+
+    // Closest station first: it gets the most out of the thermal budget
+    engaged.sort((a, b) => a.distance - b.distance);
+    let shooters = engaged;
+    if (mode === ENGAGEMENT_MODE.HANDOVER) {
+      if (!engaged.some(({ m }) => m === shooter)) shooter = engaged[0].m;
+      shooters = engaged.filter(({ m }) => m === shooter);
+      engaged.forEach(({ m }) => {
+        if (m !== shooter) pulseCredits[m] = 0;
+      });
+    }
+
+    let exhausted = true;
+    shooters.forEach(({ m, distance }) => {
+      const { laser } = members[m];
+      const fluence = calculateFluenceAtRange(distance, laser);
+      const tempRisePerPulse = calculateTempRisePerPulse(debris, fluence);
+
+      pulseCredits[m] += dt * laser.REPETITION_RATE;
+      const pulsesByTime = Math.floor(pulseCredits[m]);
+      const pulsesByThermal = Math.floor((thermalBudget - tempRise) / tempRisePerPulse);
+      const firedPulses = Math.max(0, Math.min(pulsesByTime, pulsesByThermal));
+      pulseCredits[m] -= pulsesByTime;
+      if (pulsesByThermal > 0) exhausted = false;
+      if (firedPulses === 0) return;
+
+      if (lastShooter !== null && lastShooter !== m && mode === ENGAGEMENT_MODE.HANDOVER) {
+        handovers.push({ time: new Date(startMs), fromStationId: members[lastShooter].stationId, toStationId: members[m].stationId });
+      }
+      lastShooter = m;
+
+      const pulseDeltaV = firedPulses * calculateLaserDeltaV(laser.PULSE_ENERGY, debris.mass, distance, laser);
+      const station = byStation[m];
+      station.pulses += firedPulses;
+      station.energy += firedPulses * laser.PULSE_ENERGY;
+      station.deltaV += pulseDeltaV;
+      extendFiring(station.firing, startMs, endMs);
+      extendFiring(firing, startMs, endMs);
+
+      pulses += firedPulses;
+      tempRise += firedPulses * tempRisePerPulse;
+      deltaV += pulseDeltaV;
+      fluenceSum += firedPulses * fluence;
+      peakFluence = Math.max(peakFluence, fluence);
+    });
+    if (exhausted) break; // Thermal budget exhausted for this engagement
+  }
+
+  return {
+    pulses,
+    energy: byStation.reduce((sum, station) => sum + station.energy, 0), // J
+    deltaV,
+    tempRise,
+    meanFluence: pulses > 0 ? fluenceSum / pulses : 0,
+    peakFluence,
+    firing,
+    engageableDuration: engageableMs / 1000,
+    byStation,
+    handovers
+  };
+}
+
+/**
+ * Fire through a single pass second by second using its engagement profile:
+ * a coordinated engagement with one station.
+ * `laser` is the engaging station's configuration (baseline by default).
+ */
+export function simulateEngagement(debris, profile, laser = LASER_PARAMS) {
+  const { byStation, handovers, engageableDuration, ...engagement } =
+    simulateCoordinatedEngagement(debris, [{ stationId: null, profile, laser }]);
+  return engagement;
+}
+
+/**
+ * Group passes from different stations that overlap in time into one
+ * engagement window each
+ * @param {Array} passes - Passes sorted by start time
+ * @returns {Array} - [[pass, ...]] chronologically; single passes form windows of one
+ */
+export function groupOverlappingPasses(passes) {
+  const windows = [];
+  let openUntil = -Infinity;
+  passes.forEach(pass => {
+    if (pass.startTime.getTime() < openUntil) {
+      windows[windows.length - 1].push(pass);
+    } else {
+      windows.push([pass]);
+    }
+    openUntil = Math.max(openUntil, pass.endTime.getTime());
+  });
+  return windows;
+}
+
+/**
+ * Engage each window in turn and follow the perigee down to re-entry. This is
+ * where a campaign ends and how long it takes, for the Mission Planner and the
+ * placement optimizer alike.
+ * @param {object} debris - Target with perigee and apogee (km)
+ * @param {Array} windows - Engagement windows from groupOverlappingPasses
+ * @param {function} engageWindow - (passes, idx) => coordinated engagement of one window
+ * @param {object} clock - Scenario clock
+ * @returns {object} - {
+ *   engagements: one per window,
+ *   orbitalEvolution: perigee steps from trackPerigeeEvolution, the initial orbit first,
+ *   reEntryPass: first step below the re-entry threshold, or undefined,
+ *   passesNeeded: windows flown up to re-entry, or all of them when it is not reached,
+ *   durationDays: from the scenario start to the end of the last window flown
+ * }
+ */
+export function flyWindows(debris, windows, engageWindow, clock) {
+  const engagements = windows.map((passes, idx) => engageWindow(passes, idx));
+  const orbitalEvolution = trackPerigeeEvolution(debris.perigee, debris.apogee, engagements.map(engagement => engagement.deltaV));
+
+  // The evolution starts with the initial orbit, so it is one longer than the windows
+  const reEntryPass = orbitalEvolution.find(step => isReEntryAchieved(step.perigeeAlt));
+  const passesNeeded = reEntryPass ? reEntryPass.passNumber : windows.length;
+  const lastWindow = windows[passesNeeded - 1];
+  const durationDays = lastWindow
+    ? clock.elapsedDays(new Date(Math.max(...lastWindow.map(pass => pass.endTime.getTime()))))
+    : 0;
+
+  return { engagements, orbitalEvolution, reEntryPass, passesNeeded, durationDays };
+}
+
+/**
+ * Data for a pass's polar sky plot: the az/el trace (flagging where the laser
+ * fired) and the station's elevation limit all the way round
+ * @param {object} pass - Predicted pass with its engagement profile
+ * @param {Array} firing - [startMs, endMs] intervals in which this pass's station fired
+ * @param {object} station - Station with minElevation and horizonMask
+ * @param {number} minElevation - Global minimum elevation in degrees
+ * @returns {object} - { track: [{ azimuth, elevation, firing }], mask: [{ azimuth, elevation }] }
+ *   where firing means the laser fired between this track point and the next
+ */
+function skyPlotData(pass, firing, station, minElevation) {
+  const samples = pass.profile
+    .filter((sample, i) => i % SKY_TRACK_STEP_SECONDS === 0 || i === pass.profile.length - 1);
+  // A sample is flagged when the laser fired at any time before the next sample
+  const track = samples.map((sample, i) => {
+    const fromMs = sample.time.getTime();
+    const toMs = i < samples.length - 1 ? samples[i + 1].time.getTime() : fromMs;
+    return {
+      azimuth: sample.azimuth,
+      elevation: sample.elevation,
+      firing: firing.some(([start, end]) => start <= toMs && end > fromMs)
+    };
+  });
+
+  const mask = [];
+  for (let azimuth = 0; azimuth < 360; azimuth += SKY_MASK_STEP_DEG) {
+    mask.push({ azimuth, elevation: elevationLimitAt(station, minElevation, azimuth) });
+  }
+  return { track, mask };
+}
+
+/**
+ * Predict passes for every station over the scenario window, reusing cached
+ * predictions for stations and windows that were already computed
+ * @param {Array} stations - Station objects
+ * @param {object} debris - Catalog entry with tle1/tle2
+ * @param {object} clock - Scenario clock
+ * @param {number} minElevation - Minimum elevation in degrees
+ * @param {object} callbacks - { onProgress, onPartial } reporting per station and per day
+ * @returns {object} - { passes: all passes, chronologically, tagged with stationId/stationName,
+ *   propagationFailure: earliest { time, message } at which SGP4 failed, or null }
+ */
+export function predictNetworkPasses(stations, debris, clock, minElevation, { onProgress, onPartial } = {}) {
+  const predictedPasses = [];
+  let propagationFailure = null;
+  const days = Math.ceil(clock.horizonDays);
+
+  stations.forEach((station, stationIndex) => {
+    const { passes, source, propagationFailure: failure } = getStationPasses(
+      station,
+      debris.tle1,
+      debris.tle2,
+      clock,
+      minElevation,
+      (day) => onProgress?.({
+        phase: 'prediction',
+        stationIndex,
+        stationCount: stations.length,
+        stationName: station.name,
+        day,
+        days
+      })
+    );
+    const tagged = passes.map(pass => ({
+      ...pass,
+      stationId: station.id,
+      stationName: station.name
+    }));
+    predictedPasses.push(...tagged);
+    if (failure && (!propagationFailure || failure.time < propagationFailure.time)) {
+      propagationFailure = failure;
+    }
+
+    onPartial?.({
+      phase: 'prediction',
+      stationId: station.id,
+      stationName: station.name,
+      source,
+      passCount: tagged.length,
+      engageableCount: tagged.filter(pass => pass.illumination === PASS_ILLUMINATION.ENGAGEABLE).length
+    });
+  });
+
+  // Sort passes chronologically
+  predictedPasses.sort((a, b) => a.startTime - b.startTime);
+  return { passes: predictedPasses, propagationFailure };
+}
+
+/**
+ * Fly the campaign many times with cloud randomly closing station-nights,
+ * each night clear with its station's monthly probability. A window whose
+ * passes are all clouded out is lost; one that keeps some of its stations is
+ * re-engaged with those only.
+ * @param {object} debris - Target
+ * @param {Array} windows - Engagement windows of overlapping passes, chronologically
+ * @param {Array} clearDeltaVs - ΔV of each window with every station clear
+ * @param {object} context - { engageWindow(passes) => engagement, stationsById, clock, trials, onProgress }
+ * @returns {object} - {
+ *   trials, reEntryProbability, durationP50, durationP90 (days, Infinity when
+ *   re-entry is not reached within the window), meanPassesLost, meanEngagementsLost
+ * }
+ */
+function simulateWeather(debris, windows, clearDeltaVs, { engageWindow, stationsById, clock, trials, onProgress }) {
+  const random = createRandom(WEATHER_SEED);
+  const deltaVCache = new Map(); // ΔV by window and surviving stations
+  windows.forEach((passes, idx) => deltaVCache.set(`${idx}:${passes.map(() => 1).join('')}`, clearDeltaVs[idx]));
+
+  const durations = [];
+  let passesLost = 0;
+  let engagementsLost = 0;
+
+  for (let trial = 0; trial < trials; trial++) {
+    const nights = new Map();
+    const isClear = (pass) => {
+      const station = stationsById.get(pass.stationId);
+      const key = `${pass.stationId}:${nightOf(pass.startTime, station.lng)}`;
+      if (!nights.has(key)) nights.set(key, random() < clearSkyProbability(station, pass.startTime));
+      return nights.get(key);
+    };
+
+    const deltaVs = [];
+    const endTimes = [];
+    windows.forEach((passes, idx) => {
+      const clear = passes.map(isClear);
+      const kept = passes.filter((pass, m) => clear[m]);
+      passesLost += passes.length - kept.length;
+      if (kept.length === 0) {
+        engagementsLost += 1;
+        return;
+      }
+
+      const key = `${idx}:${clear.map(Number).join('')}`;
+      if (!deltaVCache.has(key)) deltaVCache.set(key, engageWindow(kept).deltaV);
+      deltaVs.push(deltaVCache.get(key));
+      endTimes.push(Math.max(...kept.map(pass => pass.endTime.getTime())));
+    });
+
+    const evolution = trackPerigeeEvolution(debris.perigee, debris.apogee, deltaVs);
+    const reEntry = evolution.find(step => isReEntryAchieved(step.perigeeAlt));
+    durations.push(reEntry && reEntry.passNumber > 0
+      ? clock.elapsedDays(new Date(endTimes[reEntry.passNumber - 1]))
+      : Infinity);
+    onProgress?.({ phase: 'weather', trial: trial + 1, trials });
+  }
+
+  durations.sort((a, b) => a - b);
+  return {
+    trials,
+    reEntryProbability: durations.filter(Number.isFinite).length / trials,
+    durationP50: percentile(durations, 0.5),
+    durationP90: percentile(durations, 0.9),
+    meanPassesLost: passesLost / trials,
+    meanEngagementsLost: engagementsLost / trials
+  };
+}
+
+/**
+ * Run the full removal campaign: pass prediction, engagement physics, orbit
+ * lowering and cost, plus the campaign duration spread under cloud
+ * @param {object} request - {
+ *   debris, stations, scenario: { startEpoch, horizonDays }, minElevation, engagementMode,
+ *   weatherTrials: cloud Monte Carlo trials (0 assumes clear skies throughout),
+ *   avoidance: { objects: protected catalog from parseTleCatalog, separationDeg } or null,
+ *   orbitElements: ORBIT_ELEMENTS value the perigee, apogee and inclination are derived with,
+ *   maxTleAgeDays: passes further than this from the TLE epoch are not counted (null counts all)
+ * }
+ * @param {object} callbacks - { onProgress, onPartial }
+ * @returns {object} - Mission results as displayed by the Mission Planner
+ * @throws {Error} - Listing the problems when the target's TLE is invalid, or when its perigee is
+ *   already below the re-entry threshold
+ */
+export function runCampaign({
+  debris: catalogEntry,
+  stations,
+  scenario,
+  minElevation = DEFAULT_MIN_ELEVATION,
+  engagementMode = ENGAGEMENT_MODE.HANDOVER,
+  weatherTrials = DEFAULT_WEATHER_TRIALS,
+  avoidance = null,
+  orbitElements = ORBIT_ELEMENTS.MEAN,
+  maxTleAgeDays = null
+}, { onProgress, onPartial } = {}) {
+  const clock = createScenarioClock(scenario);
+  const tleWarnings = [...assertValidTle(catalogEntry, clock.startEpoch).warnings];
+  // Orbit geometry comes from the TLE; entered values that disagree are only flagged
+  const debris = withTleOrbit(catalogEntry, { elements: orbitElements, epoch: clock.startEpoch });
+  tleWarnings.push(...debris.orbitWarnings);
+  const endUncertainty = inTrackUncertainty(debris.tle1, debris.tle2, clock.endEpoch);
+  if (endUncertainty > UNCERTAINTY_WARNING_KM) {
+    tleWarnings.push(`In-track uncertainty grows to ${endUncertainty.toFixed(0)} km (1σ) by the end of the ${clock.horizonDays}-day horizon; late passes cannot be acquired from this TLE alone`);
+  }
+
+  // A target already below the re-entry threshold needs no campaign
+  if (isReEntryAchieved(debris.perigee)) {
+    throw new Error(`${debris.name}: perigee ${debris.perigee.toFixed(0)} km is already below the re-entry threshold; no engagement is needed.`);
+  }
+
+  // 1. Calculate visibility passes for all active stations
+  const activeStations = stations.filter(station => station.active !== false);
+  if (activeStations.length === 0) {
+    throw new Error('All stations are inactive. Activate at least one station.');
+  }
+  const lasersByStation = new Map(activeStations.map(station => [station.id, laserConfigFor(station)]));
+  const stationsById = new Map(activeStations.map(station => [station.id, station]));
+  const prediction = predictNetworkPasses(activeStations, debris, clock, minElevation, { onProgress, onPartial });
+  const predictedPasses = prediction.passes;
+  const decayNote = prediction.propagationFailure
+    && `SGP4 stops at ${prediction.propagationFailure.time.toISOString().slice(0, 16).replace('T', ' ')} UTC (${prediction.propagationFailure.message})`;
+  if (decayNote) tleWarnings.push(`${decayNote}; no passes are predicted after it`);
+
+  // Only passes with a dark station and a sunlit target can be acquired optically
+  const engageablePasses = predictedPasses.filter(pass => pass.illumination === PASS_ILLUMINATION.ENGAGEABLE);
+  if (engageablePasses.length === 0 && decayNote) {
+    throw new Error(`${debris.name}: ${decayNote} before any engageable pass.`);
+  }
+  if (engageablePasses.length === 0) {
+    throw new Error(`None of the ${predictedPasses.length} predicted passes has a dark station and a sunlit target. Try a longer horizon or more stations.`);
+  }
+  // With a freshness requirement, passes too far from the TLE epoch are not counted
+  const allPasses = maxTleAgeDays === null
+    ? engageablePasses
+    : engageablePasses.filter(pass => Math.abs(tleAgeDays(debris.tle1, pass.tca.time)) <= maxTleAgeDays);
+  if (allPasses.length === 0) {
+    throw new Error(`None of the ${engageablePasses.length} engageable passes is within ${maxTleAgeDays} days of the TLE epoch. Refresh the TLE, move the scenario start or relax the freshness requirement.`);
+  }
+
+  // Satellite and airspace closures of each pass, screened when the pass is first engaged
+  const screen = avoidance && avoidance.objects.length > 0
+    ? createAvoidanceScreen(avoidance.objects, {
+      separationDeg: avoidance.separationDeg,
+      excludeNoradId: noradIdOf(debris.tle1)
+    })
+    : null;
+  const closuresByPass = new Map();
+  const closuresOf = (pass) => {
+    if (!closuresByPass.has(pass)) {
+      const station = stationsById.get(pass.stationId);
+      const satellites = screen ? screen.screenPass(pass, station) : [];
+      closuresByPass.set(pass, [
+        ...satellites.map(closure => ({ ...closure, kind: CLOSURE_KIND.SATELLITE })),
+        ...airspaceClosures(pass, station, lasersByStation.get(pass.stationId))
+          .map(closure => ({ ...closure, kind: CLOSURE_KIND.AIRSPACE }))
+      ].sort((a, b) => a.startMs - b.startMs));
+    }
+    return closuresByPass.get(pass);
+  };
+  const engageWindow = (passes) => simulateCoordinatedEngagement(
+    debris,
+    passes.map(pass => ({
+      stationId: pass.stationId,
+      profile: pass.profile,
+      laser: lasersByStation.get(pass.stationId),
+      closures: closuresOf(pass).map(closure => [closure.startMs, closure.endMs])
+    })),
+    engagementMode
+  );
+
+  // 2. Merge passes from stations that see the target at the same time into
+  // coordinated engagements, then calculate laser physics for each one
+  const windows = groupOverlappingPasses(allPasses);
+  const passDetails = [];
+  const days = Math.ceil(clock.horizonDays);
+  let cumulativeDeltaV = 0;
+  let lastReportedDay = -1;
+
+  const flight = flyWindows(debris, windows, (passes, idx) => {
+    const engagement = engageWindow(passes);
+    cumulativeDeltaV += engagement.deltaV;
+
+    const contributions = passes.map((pass, m) => ({
+      stationId: pass.stationId,
+      station: pass.stationName,
+      pulses: engagement.byStation[m].pulses,
+      deltaV: engagement.byStation[m].deltaV,
+      aos: pass.aos,
+      tca: pass.tca,
+      los: pass.los,
+      sky: idx < PASS_DETAIL_LIMIT
+        ? skyPlotData(pass, engagement.byStation[m].firing, stationsById.get(pass.stationId), minElevation)
+        : null,
+      firing: engagement.byStation[m].firing,
+      acquisition: assessAcquisition(debris, pass, lasersByStation.get(pass.stationId))
+    }));
+    // The station that contributed most stands for the engagement
+    const primary = contributions.reduce((a, b) => (b.deltaV > a.deltaV ? b : a));
+    const start = new Date(Math.min(...passes.map(pass => pass.startTime.getTime())));
+    const end = new Date(Math.max(...passes.map(pass => pass.endTime.getTime())));
+
+    passDetails.push({
+      passNumber: idx + 1,
+      time: start,
+      endTime: end,
+      duration: (end - start) / 1000,
+      engageableDuration: engagement.engageableDuration,
+      pulses: engagement.pulses,
+      energy: engagement.energy,
+      deltaV: engagement.deltaV,
+      fluence: engagement.meanFluence,
+      peakFluence: engagement.peakFluence,
+      tempRise: engagement.tempRise,
+      minRange: Math.min(...passes.map(pass => pass.tca.range)),
+      station: (contributions.some(contribution => contribution.pulses > 0)
+        ? contributions.filter(contribution => contribution.pulses > 0)
+        : [primary]).map(contribution => contribution.station).join(' + '),
+      stationId: primary.stationId,
+      elevation: Math.max(...passes.map(pass => pass.maxElevation)),
+      aos: primary.aos,
+      tca: primary.tca,
+      los: primary.los,
+      sky: primary.sky,
+      acquisition: primary.acquisition,
+      contributions,
+      handovers: engagement.handovers.map(handover => ({
+        time: handover.time,
+        from: stationsById.get(handover.fromStationId).name,
+        to: stationsById.get(handover.toStationId).name
+      })),
+      closures: passes.flatMap(pass => closuresOf(pass).map(closure => ({
+        kind: closure.kind,
+        station: pass.stationName,
+        start: new Date(closure.startMs),
+        end: new Date(closure.endMs),
+        object: closure.name,
+        noradId: closure.noradId,
+        minSeparation: closure.minSeparation
+      }))).sort((a, b) => a.start - b.start)
+    });
+
+    const day = Math.floor(clock.elapsedDays(start));
+    if (day > lastReportedDay) {
+      lastReportedDay = day;
+      onProgress?.({ phase: 'campaign', day, days });
+      onPartial?.({ phase: 'campaign', day, passesFlown: idx + 1, cumulativeDeltaV });
+    }
+    return engagement;
+  }, clock);
+
+  // 3. Perigee evolution and re-entry
+  const { orbitalEvolution, reEntryPass, passesNeeded, durationDays } = flight;
+  const deltaVsPerPass = flight.engagements.map(engagement => engagement.deltaV);
+  const totalDeltaV = deltaVsPerPass.slice(0, passesNeeded).reduce((sum, dv) => sum + dv, 0);
+
+  // Estimate atmospheric decay
+  const finalPerigee = reEntryPass ? reEntryPass.perigeeAlt : orbitalEvolution[orbitalEvolution.length - 1].perigeeAlt;
+  const decay = estimateAtmosphericDecay(finalPerigee, debris.areaToMass);
+
+  // Pass-by-pass state for campaign playback
+  const timeline = passDetails.slice(0, passesNeeded).map((detail, idx) => {
+    const station = stationsById.get(detail.stationId);
+    return {
+      passNumber: detail.passNumber,
+      start: detail.time,
+      end: detail.endTime,
+      stationId: detail.stationId,
+      stationName: detail.station,
+      stationLat: station.lat,
+      stationLng: station.lng,
+      beams: detail.contributions.map(contribution => ({
+        stationName: contribution.station,
+        stationLat: stationsById.get(contribution.stationId).lat,
+        stationLng: stationsById.get(contribution.stationId).lng,
+        firing: contribution.firing
+      })),
+      pulses: detail.pulses,
+      deltaV: detail.deltaV,
+      tempRise: detail.tempRise,
+      perigeeBefore: orbitalEvolution[idx].perigeeAlt,
+      perigeeAfter: orbitalEvolution[idx + 1].perigeeAlt
+    };
+  });
+
+  // ΔV each station contributed over the passes actually flown
+  const deltaVByStation = activeStations
+    .map(station => ({
+      stationId: station.id,
+      station: station.name,
+      deltaV: passDetails.slice(0, passesNeeded)
+        .flatMap(detail => detail.contributions)
+        .filter(contribution => contribution.stationId === station.id)
+        .reduce((sum, contribution) => sum + contribution.deltaV, 0)
+    }))
+    .filter(station => station.deltaV > 0);
+
+  // Total energy
+  const totalPulses = passDetails.slice(0, passesNeeded).reduce((sum, p) => sum + p.pulses, 0);
+  const totalEnergyGJ = passDetails.slice(0, passesNeeded).reduce((sum, p) => sum + p.energy, 0) / 1e9;
+
+  // Pulse-weighted averages over the passes actually flown
+  const deltaVPerPulse = totalPulses > 0 ? totalDeltaV / totalPulses : 0;
+  const fluence = totalPulses > 0
+    ? passDetails.slice(0, passesNeeded).reduce((sum, p) => sum + p.fluence * p.pulses, 0) / totalPulses
+    : 0;
+
+  // 4. Spread of campaign duration when cloud closes station-nights
+  const weather = weatherTrials > 0
+    ? simulateWeather(debris, windows, deltaVsPerPass, {
+      engageWindow,
+      stationsById,
+      clock,
+      trials: weatherTrials,
+      onProgress
+    })
+    : null;
+
+  // Calculate mission cost
+  const costAnalysis = calculateMissionCost(totalEnergyGJ, durationDays);
+
+  return {
+    debris,
+    scenarioStart: clock.startEpoch,
+    scenarioEnd: clock.endEpoch,
+    passesNeeded,
+    totalPasses: passDetails.length,
+    engageablePasses: engageablePasses.length,
+    staleTlePasses: engageablePasses.length - allPasses.length,
+    maxTleAgeDays,
+    acquisitionRiskPasses: passDetails.slice(0, passesNeeded).filter(detail => detail.acquisition.acquisitionRisk).length,
+    engagementMode,
+    predictedPasses: predictedPasses.length,
+    daylightPasses: predictedPasses.filter(pass => pass.illumination === PASS_ILLUMINATION.DAYLIGHT).length,
+    eclipsedPasses: predictedPasses.filter(pass => pass.illumination === PASS_ILLUMINATION.ECLIPSED).length,
+    totalDeltaV,
+    durationDays,
+    totalEnergyGJ,
+    totalPulses,
+    reEntryAchieved: !!reEntryPass,
+    finalPerigee,
+    atmosphericDecay: decay,
+    passDetails: passDetails.slice(0, Math.min(PASS_DETAIL_LIMIT, passesNeeded)), // First 20 passes
+    orbitalEvolution: orbitalEvolution.slice(0, Math.min(50, passesNeeded + 1)), // Initial orbit and first 49 passes for chart
+    timeline,
+    deltaVByStation,
+    weather,
+    tleWarnings,
+    avoidance: screen
+      ? {
+        objectCount: screen.objectCount,
+        separationDeg: screen.separationDeg,
+        closures: passDetails.slice(0, passesNeeded)
+          .reduce((sum, detail) => sum + detail.closures.filter(closure => closure.kind === CLOSURE_KIND.SATELLITE).length, 0)
+      }
+      : null,
+    airspaceClosures: passDetails.slice(0, passesNeeded)
+      .reduce((sum, detail) => sum + detail.closures.filter(closure => closure.kind === CLOSURE_KIND.AIRSPACE).length, 0),
+    thermalBudget: MATERIAL_PROPERTIES[debris.material].MAX_TEMP_RISE,
+    deltaVPerPulse,
+    fluence,
+    costAnalysis
+  };
+}
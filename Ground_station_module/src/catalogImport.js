@@ -0,0 +1,475 @@
+import { parseTleCatalog, noradIdOf } from './avoidance.js';
+import { validateTle, tleChecksum } from './tleValidation.js';
+import { getTleEpoch } from './scenarioClock.js';
+import { withEstimatedProperties } from './debrisProperties.js';
+
+/**
+ * Debris Catalog Import
+ * Reads element sets from two- and three-line TLE text, CCSDS OMM (KVN, XML
+ * or JSON) and the JSON/CSV layouts public catalogs export, turns them into
+ * target entries and merges them into the catalog by NORAD ID.
+ */
+
+const MS_PER_DAY = 86400 * 1000;
+const ALPHA5_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // I and O are not used
+
+export const CATALOG_FORMAT = {
+  TLE: 'TLE',
+  OMM_KVN: 'OMM KVN',
+  OMM_XML: 'OMM XML',
+  JSON: 'JSON',
+  CSV: 'CSV'
+};
+
+/**
+ * Guess the format of a catalog file from its contents
+ * @param {string} text - File contents
+ * @returns {string} - CATALOG_FORMAT value
+ */
+export function detectCatalogFormat(text) {
+  const start = text.trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return CATALOG_FORMAT.JSON;
+  if (start.startsWith('<')) return CATALOG_FORMAT.OMM_XML;
+  if (/^\s*CCSDS_OMM_VERS\s*=/m.test(text)) return CATALOG_FORMAT.OMM_KVN;
+  const firstLine = start.split(/\r?\n/)[0];
+  if (/NORAD_CAT_ID|OBJECT_NAME|TLE_LINE1/i.test(firstLine) && firstLine.includes(',')) return CATALOG_FORMAT.CSV;
+  return CATALOG_FORMAT.TLE;
+}
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ * @returns {Array} - Field strings
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const character = line[i];
+    if (quoted) {
+      if (character === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        current += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === ',') {
+      fields.push(current);
+      current = '';
+    } else {
+      current += character;
+    }
+  }
+  fields.push(current);
+  return fields.map(value => value.trim());
+}
+
+/**
+ * Keyword records from CCSDS OMM key-value notation; each CCSDS_OMM_VERS
+ * line starts a new message. Units in brackets are dropped.
+ * @returns {Array} - [{ KEYWORD: value }]
+ */
+function parseKvn(text) {
+  const records = [];
+  let record = null;
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('COMMENT')) return;
+    const match = line.match(/^([A-Z0-9_]+)\s*=\s*(.*?)\s*(\[[^\]]*\])?$/);
+    if (!match) return;
+    if (match[1] === 'CCSDS_OMM_VERS') {
+      record = {};
+      records.push(record);
+    }
+    if (record) record[match[1]] = match[2];
+  });
+  return records;
+}
+
+/**
+ * Keyword records from CCSDS OMM XML: one per <omm> element (or the whole
+ * document when there is none), with every leaf element as a keyword
+ * @returns {Array} - [{ KEYWORD: value }]
+ */
+function parseOmmXml(text) {
+  const blocks = text.match(/<(?:\w+:)?omm[\s>][\s\S]*?<\/(?:\w+:)?omm>/gi) || [text];
+  return blocks.map(block => {
+    const record = {};
+    const leaf = /<(?:\w+:)?([A-Z0-9_]+)(?:\s[^>]*)?>([^<]*)<\/(?:\w+:)?\1>/g;
+    let match;
+    while ((match = leaf.exec(block)) !== null) {
+      if (!(match[1] in record)) record[match[1]] = match[2].trim();
+    }
+    return record;
+  });
+}
+
+/**
+ * Keyword records from a CSV file with a header row of OMM or catalog keywords
+ * @returns {Array} - [{ KEYWORD: value }]
+ */
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const header = splitCsvLine(lines[0]).map(name => name.toUpperCase());
+  return lines.slice(1).map(line => {
+    const values = splitCsvLine(line);
+    return Object.fromEntries(header.map((name, i) => [name, values[i] ?? '']));
+  });
+}
+
+// Catalog number in five characters, with Alpha-5 letters above 99999
+function formatCatalogNumber(noradId) {
+  const number = Number(noradId);
+  if (!Number.isInteger(number) || number < 0 || number > 339999) {
+    throw new Error(`NORAD_CAT_ID ${noradId} cannot be written as a TLE catalog number`);
+  }
+  if (number <= 99999) return String(number).padStart(5, '0');
+  return ALPHA5_LETTERS[Math.floor(number / 10000) - 10] + String(number % 10000).padStart(4, '0');
+}
+
+// Eight-character implied-decimal exponent field, e.g. -1.1606e-5 as "-11606-4"
+function formatExponent(value) {
+  if (!value) return ' 00000-0';
+  let exponent = Math.floor(Math.log10(Math.abs(value))) + 1;
+  let mantissa = Math.round((Math.abs(value) / Math.pow(10, exponent)) * 1e5);
+  if (mantissa >= 1e5) {
+    mantissa /= 10;
+    exponent += 1;
+  }
+  if (Math.abs(exponent) > 9) return ' 00000-0'; // Below the field's resolution
+  return `${value < 0 ? '-' : ' '}${String(mantissa).padStart(5, '0')}${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+}
+
+// Fixed-point field with the leading zero dropped, e.g. -0.00002182 as "-.00002182"
+function formatFirstDerivative(value) {
+  const text = Math.abs(value).toFixed(8).replace(/^0/, '');
+  return `${value < 0 ? '-' : ' '}${text}`.padStart(10);
+}
+
+// Epoch as YYDDD.DDDDDDDD; OMM epochs are UTC with or without a trailing Z
+function formatEpoch(epoch) {
+  const time = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(epoch) ? epoch : `${epoch}Z`);
+  if (Number.isNaN(time.getTime())) throw new Error(`EPOCH "${epoch}" is not a date`);
+  const year = time.getUTCFullYear();
+  const dayOfYear = (time.getTime() - Date.UTC(year, 0, 1)) / MS_PER_DAY + 1;
+  return `${String(year % 100).padStart(2, '0')}${dayOfYear.toFixed(8).padStart(12, '0')}`;
+}
+
+function numberField(record, key, fallback) {
+  const value = record[key];
+  if (value === undefined || value === null || value === '') {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`${key} is missing`);
+  }
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new Error(`${key} "${value}" is not a number`);
+  return number;
+}
+
+/**
+ * Write OMM mean elements as a two-line element set
+ * @param {object} record - OMM keywords (NORAD_CAT_ID, EPOCH, MEAN_MOTION, ECCENTRICITY, ...)
+ * @returns {object} - { tle1, tle2 }
+ */
+export function ommToTle(record) {
+  const theory = record.MEAN_ELEMENT_THEORY;
+  if (theory && !/^SGP4?$/i.test(theory)) {
+    throw new Error(`mean element theory ${theory} cannot be written as a TLE`);
+  }
+  const catalogNumber = formatCatalogNumber(numberField(record, 'NORAD_CAT_ID'));
+  const designator = (record.OBJECT_ID || '').match(/^\d{2}(\d{2})-(\d{3})([A-Z]{0,3})$/);
+  const international = designator ? `${designator[1]}${designator[2]}${designator[3]}` : '';
+  const classification = (record.CLASSIFICATION_TYPE || 'U').slice(0, 1);
+
+  const tle1 = [
+    '1 ',
+    catalogNumber,
+    classification,
+    ' ',
+    international.padEnd(8),
+    ' ',
+    formatEpoch(record.EPOCH || ''),
+    ' ',
+    formatFirstDerivative(numberField(record, 'MEAN_MOTION_DOT', 0)),
+    ' ',
+    formatExponent(numberField(record, 'MEAN_MOTION_DDOT', 0)),
+    ' ',
+    formatExponent(numberField(record, 'BSTAR', 0)),
+    ' ',
+    String(numberField(record, 'EPHEMERIS_TYPE', 0)),
+    ' ',
+    String(numberField(record, 'ELEMENT_SET_NO', 999) % 10000).padStart(4)
+  ].join('');
+
+  const angle = (key) => numberField(record, key).toFixed(4).padStart(8);
+  const eccentricity = numberField(record, 'ECCENTRICITY');
+  const tle2 = [
+    '2 ',
+    catalogNumber,
+    ' ',
+    angle('INCLINATION'),
+    ' ',
+    angle('RA_OF_ASC_NODE'),
+    ' ',
+    String(Math.round(eccentricity * 1e7)).padStart(7, '0'),
+    ' ',
+    angle('ARG_OF_PERICENTER'),
+    ' ',
+    angle('MEAN_ANOMALY'),
+    ' ',
+    numberField(record, 'MEAN_MOTION').toFixed(8).padStart(11),
+    String(numberField(record, 'REV_AT_EPOCH', 0) % 100000).padStart(5)
+  ].join('');
+
+  return {
+    tle1: tle1 + tleChecksum(tle1),
+    tle2: tle2 + tleChecksum(tle2)
+  };
+}
+
+// Number from an implied-decimal exponent field, e.g. "-11606-4" as -1.1606e-5
+function parseExponent(text) {
+  const match = text.match(/^([ +-])(\d{5})([+-]\d)$/);
+  if (!match) return 0;
+  return (match[1] === '-' ? -1 : 1) * Number(`0.${match[2]}`) * Math.pow(10, Number(match[3]));
+}
+
+// Catalog number from its five characters, decoding Alpha-5 letters
+function parseCatalogNumber(text) {
+  const letter = ALPHA5_LETTERS.indexOf(text[0]);
+  return letter >= 0 ? (letter + 10) * 10000 + Number(text.slice(1)) : Number(text);
+}
+
+/**
+ * OMM keywords for a two-line element set, carrying the lines themselves as
+ * TLE_LINE0-2 the way general perturbations query results do
+ * @param {object} entry - Catalog entry with name, tle1, tle2 and optional objectType, owner, rcsSize
+ * @returns {object} - OMM record
+ */
+export function tleToOmm(entry) {
+  const { tle1, tle2 } = entry;
+  const column = (line, first, last) => line.substring(first - 1, last);
+  const designator = column(tle1, 10, 17).trim().match(/^(\d{2})(\d{3})([A-Z]*)$/);
+  const launchYear = designator && Number(designator[1]);
+  const meanMotion = parseFloat(column(tle2, 53, 63));
+  return {
+    OBJECT_NAME: entry.name,
+    // Two-digit launch years follow the TLE epoch convention: 57-99 are 19xx
+    OBJECT_ID: designator ? `${launchYear < 57 ? 2000 + launchYear : 1900 + launchYear}-${designator[2]}${designator[3]}` : null,
+    NORAD_CAT_ID: parseCatalogNumber(column(tle1, 3, 7)),
+    OBJECT_TYPE: entry.objectType || null,
+    COUNTRY_CODE: entry.owner || null,
+    RCS_SIZE: entry.rcsSize || null,
+    CLASSIFICATION_TYPE: tle1[7],
+    EPOCH: getTleEpoch(tle1).toISOString().replace('Z', ''),
+    MEAN_MOTION: meanMotion,
+    ECCENTRICITY: Number(`0.${column(tle2, 27, 33)}`),
+    INCLINATION: parseFloat(column(tle2, 9, 16)),
+    RA_OF_ASC_NODE: parseFloat(column(tle2, 18, 25)),
+    ARG_OF_PERICENTER: parseFloat(column(tle2, 35, 42)),
+    MEAN_ANOMALY: parseFloat(column(tle2, 44, 51)),
+    EPHEMERIS_TYPE: Number(tle1[62]) || 0,
+    ELEMENT_SET_NO: Number(column(tle1, 65, 68)),
+    REV_AT_EPOCH: Number(column(tle2, 64, 68)),
+    BSTAR: parseExponent(column(tle1, 54, 61)),
+    MEAN_MOTION_DOT: parseFloat(column(tle1, 34, 43)),
+    MEAN_MOTION_DDOT: parseExponent(column(tle1, 45, 52)),
+    PERIOD: 1440 / meanMotion, // minutes
+    TLE_LINE0: `0 ${entry.name}`,
+    TLE_LINE1: tle1,
+    TLE_LINE2: tle2
+  };
+}
+
+// Optional numeric catalog columns; blanks and zeros mean unknown
+function positiveNumber(value) {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+}
+
+/**
+ * Element set from a JSON or CSV catalog record: explicit TLE lines when the
+ * record has them, otherwise its OMM mean elements, plus whatever catalog
+ * metadata and physical properties it carries
+ * @returns {object} - { name, tle1, tle2, objectType, owner, rcsSize, rcs, size, mass, area, objectId }
+ */
+function recordToElementSet(record) {
+  const keys = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.toUpperCase(), value]));
+  const tle1 = keys.TLE_LINE1 || keys.TLE1 || keys.LINE1;
+  const tle2 = keys.TLE_LINE2 || keys.TLE2 || keys.LINE2;
+  const lines = tle1 && tle2 ? { tle1: String(tle1), tle2: String(tle2) } : ommToTle(keys);
+  const name = keys.OBJECT_NAME || keys.NAME || (keys.TLE_LINE0 || '').replace(/^0 /, '')
+    || `NORAD ${noradIdOf(lines.tle1)}`;
+  return {
+    name: String(name).trim(),
+    ...lines,
+    objectType: keys.OBJECT_TYPE || null,
+    owner: keys.OWNER || keys.COUNTRY_CODE || keys.COUNTRY || null,
+    rcsSize: keys.RCS_SIZE || null,
+    rcs: positiveNumber(keys.RCSVALUE ?? keys.RCS),
+    size: positiveNumber(keys.SPAN ?? keys.SIZE),
+    mass: positiveNumber(keys.MASS),
+    area: positiveNumber(keys.AREA),
+    objectId: keys.OBJECT_ID || keys.INTLDES || null
+  };
+}
+
+/**
+ * Read a catalog file into target entries. Element sets that fail TLE
+ * validation are reported rather than imported. Physical properties the file
+ * does not give are estimated (see withEstimatedProperties).
+ * @param {string} text - File contents
+ * @param {string} fileName - Shown as the entries' source
+ * @returns {object} - {
+ *   format, entries: [{ id, noradId, name, tle1, tle2, size, mass, area, material, areaToMass,
+ *   estimated, objectType, owner, rcsSize, rcs, objectId, source }] (orbit geometry comes from the TLE),
+ *   rejected: [{ name, errors: [string] }]
+ * }
+ */
+export function parseCatalogFile(text, fileName) {
+  const format = detectCatalogFormat(text);
+  let sets;
+  let records = [];
+  switch (format) {
+    case CATALOG_FORMAT.JSON: {
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        throw new Error('File is not valid JSON');
+      }
+      records = Array.isArray(json) ? json : (json.data || json.objects || [json]);
+      break;
+    }
+    case CATALOG_FORMAT.OMM_XML:
+      records = parseOmmXml(text);
+      break;
+    case CATALOG_FORMAT.OMM_KVN:
+      records = parseKvn(text);
+      break;
+    case CATALOG_FORMAT.CSV:
+      records = parseCsv(text);
+      break;
+    default:
+      sets = parseTleCatalog(text).map(({ name, tle1, tle2 }) => ({ name, tle1, tle2 }));
+  }
+
+  const rejected = [];
+  if (!sets) {
+    sets = [];
+    records.forEach((record, index) => {
+      try {
+        sets.push(recordToElementSet(record));
+      } catch (error) {
+        rejected.push({ name: record.OBJECT_NAME || record.name || `Record ${index + 1}`, errors: [error.message] });
+      }
+    });
+  }
+
+  const entries = [];
+  sets.forEach(set => {
+    const validation = validateTle(set.tle1, set.tle2);
+    if (!validation.valid) {
+      rejected.push({ name: set.name, errors: validation.errors });
+      return;
+    }
+    const tle1 = set.tle1.trimEnd();
+    const tle2 = set.tle2.trimEnd();
+    const noradId = noradIdOf(tle1);
+    entries.push(withEstimatedProperties({
+      id: `norad-${noradId}`,
+      noradId,
+      name: set.name,
+      tle1,
+      tle2,
+      size: set.size || null,
+      mass: set.mass || null,
+      area: set.area || null,
+      material: null,
+      objectType: set.objectType || null,
+      owner: set.owner || null,
+      rcsSize: set.rcsSize || null,
+      rcs: set.rcs || null,
+      objectId: set.objectId || null,
+      source: fileName
+    }));
+  });
+
+  if (entries.length === 0 && rejected.length === 0) {
+    throw new Error(`No element sets found in the ${format} file`);
+  }
+  return { format, entries, rejected };
+}
+
+// Object type, owner, RCS and international designator from an import, where missing
+function withCatalogMetadata(existing, entry) {
+  return {
+    ...existing,
+    objectType: existing.objectType || entry.objectType,
+    owner: existing.owner || entry.owner,
+    rcsSize: existing.rcsSize || entry.rcsSize,
+    rcs: existing.rcs || entry.rcs,
+    objectId: existing.objectId || entry.objectId
+  };
+}
+
+// TLE epochs resolve 1e-8 day; sets closer than this are the same element set
+const SAME_EPOCH_MS = 1;
+
+// Identification a TLE written from OMM or CSV can lack: the international
+// designator (without OBJECT_ID) and the revolution number (without REV_AT_EPOCH)
+function lineDetail({ tle1, tle2 }) {
+  return (tle1.substring(9, 17).trim() ? 1 : 0) + (Number(tle2.substring(63, 68)) > 0 ? 1 : 0);
+}
+
+/**
+ * Merge imported entries into a catalog. Entries sharing a NORAD ID become
+ * one: the newest epoch's elements are kept, along with the physical
+ * properties and id of the entry already in the catalog. Catalog metadata
+ * the existing entry lacks is taken from the import. An import of the same
+ * element set is unchanged, though its lines replace the existing ones when
+ * they carry a designator or revolution number the existing lines lack.
+ * @param {Array} catalog - Current target entries
+ * @param {Array} entries - Entries from parseCatalogFile
+ * @returns {object} - { catalog, added, updated, unchanged }
+ */
+export function mergeCatalog(catalog, entries) {
+  const merged = [...catalog];
+  const indexByNorad = new Map(merged.map((entry, index) => [noradIdOf(entry.tle1), index]));
+  let added = 0;
+  let updated = 0;
+  let unchanged = 0;
+
+  entries.forEach(entry => {
+    const index = indexByNorad.get(entry.noradId);
+    if (index === undefined) {
+      indexByNorad.set(entry.noradId, merged.length);
+      merged.push(entry);
+      added++;
+      return;
+    }
+    const existing = withCatalogMetadata(merged[index], entry);
+    merged[index] = existing;
+    const newerBy = getTleEpoch(entry.tle1) - getTleEpoch(existing.tle1);
+    if (newerBy > SAME_EPOCH_MS) {
+      merged[index] = {
+        ...existing,
+        tle1: entry.tle1,
+        tle2: entry.tle2,
+        source: entry.source
+      };
+      updated++;
+    } else {
+      if (newerBy >= -SAME_EPOCH_MS && lineDetail(entry) > lineDetail(existing)) {
+        merged[index] = { ...existing, tle1: entry.tle1, tle2: entry.tle2 };
+      }
+      unchanged++;
+    }
+  });
+
+  return { catalog: merged, added, updated, unchanged };
+}
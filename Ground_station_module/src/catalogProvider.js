@@ -0,0 +1,154 @@
+import { parseCatalogFile } from './catalogImport.js';
+import { noradIdOf } from './avoidance.js';
+import { getTleEpoch } from './scenarioClock.js';
+import { TLE_STALE_DAYS, ORBIT_REGIME, orbitRegimeOf } from './tleValidation.js';
+
+/**
+ * Catalog Providers
+ * Sources of current element sets behind one interface, so the planner can
+ * refresh its targets from a local file or a space-track-like server alike.
+ * A provider is an object with:
+ *   name - shown in the planner
+ *   fetchById(noradId) - Promise of the newest element set of one object, or null
+ *   queryByRegime(regime) - Promise of the newest element set of every object in an ORBIT_REGIME
+ *   fetchHistory(noradId, sinceEpoch) - Promise of every element set of one object
+ *     with an epoch after sinceEpoch, oldest first
+ * Element sets are catalog entries as parseCatalogFile produces them.
+ */
+
+const MS_PER_DAY = 86400 * 1000;
+export const DEFAULT_STAND_IN_URL = 'http://localhost:8787';
+
+function epochOf(entry) {
+  return getTleEpoch(entry.tle1);
+}
+
+/**
+ * Provider backed by a local catalog file. Every element set in the file is
+ * kept, so a file that accumulates sets over time also answers history queries.
+ * @param {string} text - Contents of a file parseCatalogFile reads
+ * @param {string} fileName - Shown as the provider name
+ * @returns {object} - Catalog provider
+ */
+export function createFileCatalogProvider(text, fileName) {
+  const { entries } = parseCatalogFile(text, fileName);
+  const historyById = new Map();
+  entries.forEach(entry => {
+    if (!historyById.has(entry.noradId)) historyById.set(entry.noradId, []);
+    historyById.get(entry.noradId).push(entry);
+  });
+  historyById.forEach(history => history.sort((a, b) => epochOf(a) - epochOf(b)));
+  const newest = (history) => history[history.length - 1];
+
+  return {
+    name: fileName,
+    fetchById: async (noradId) => {
+      const history = historyById.get(String(noradId));
+      return history ? newest(history) : null;
+    },
+    queryByRegime: async (regime) => [...historyById.values()]
+      .map(newest)
+      .filter(entry => orbitRegimeOf(entry.tle2) === regime),
+    fetchHistory: async (noradId, sinceEpoch) => (historyById.get(String(noradId)) || [])
+      .filter(entry => epochOf(entry) > new Date(sinceEpoch))
+  };
+}
+
+/**
+ * Provider speaking the space-track.org basicspacedata query API (gp and
+ * gp_history classes, OMM JSON results), such as the local stand-in server.
+ * Requests are made without logging in.
+ * @param {object} options - { baseUrl }
+ * @returns {object} - Catalog provider
+ */
+export function createSpaceTrackProvider({ baseUrl = DEFAULT_STAND_IN_URL } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  const query = async (predicates) => {
+    const url = `${root}/basicspacedata/query/${predicates.map(encodeURIComponent).join('/')}/format/json`;
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`${root} is not reachable: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw new Error(`${root} answered ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    const text = await response.text();
+    if (/^\s*\[\s*\]\s*$/.test(text)) return [];
+    return parseCatalogFile(text, root).entries;
+  };
+
+  return {
+    name: root,
+    fetchById: async (noradId) => {
+      const entries = await query(['class', 'gp', 'NORAD_CAT_ID', String(noradId)]);
+      return entries[0] || null;
+    },
+    queryByRegime: async (regime) => {
+      const { meanMotion, eccentricity } = ORBIT_REGIME[regime];
+      const entries = await query([
+        'class', 'gp',
+        'MEAN_MOTION', `${meanMotion[0]}--${meanMotion[1]}`,
+        'ECCENTRICITY', `${eccentricity[0]}--${eccentricity[1]}`,
+        'orderby', 'NORAD_CAT_ID'
+      ]);
+      // Bounds are inclusive on the server too; settle shared edges the same way
+      return entries.filter(entry => orbitRegimeOf(entry.tle2) === regime);
+    },
+    fetchHistory: async (noradId, sinceEpoch) => query([
+      'class', 'gp_history',
+      'NORAD_CAT_ID', String(noradId),
+      'EPOCH', `>${new Date(sinceEpoch).toISOString().replace('Z', '')}`,
+      'orderby', 'EPOCH asc'
+    ])
+  };
+}
+
+/**
+ * Replace element sets that are stale at the reference date with the
+ * provider's set nearest to it. The object's history around the reference
+ * date is searched first, then its newest set; a set is only replaced by one
+ * closer to the reference date. Objects are requested one at a time.
+ * @param {Array} catalog - Target entries
+ * @param {object} provider - Catalog provider
+ * @param {object} options - {
+ *   referenceDate: scenario start,
+ *   staleDays: age beyond which a set is refreshed,
+ *   ids: entry ids to consider (all when null)
+ * }
+ * @returns {Promise<object>} - {
+ *   catalog, refreshed: [{ name, fromEpoch, toEpoch }], unavailable: [name], failed: [{ name, message }]
+ * }
+ */
+export async function refreshStaleTles(catalog, provider, { referenceDate, staleDays = TLE_STALE_DAYS, ids = null } = {}) {
+  const reference = new Date(referenceDate).getTime();
+  const distance = (entry) => Math.abs(epochOf(entry).getTime() - reference);
+  const refreshed = [];
+  const unavailable = [];
+  const failed = [];
+  const updated = [...catalog];
+
+  for (const [index, entry] of catalog.entries()) {
+    if (ids && !ids.includes(entry.id)) continue;
+    if (distance(entry) <= staleDays * MS_PER_DAY) continue;
+    const noradId = entry.noradId ?? noradIdOf(entry.tle1);
+    try {
+      const candidates = await provider.fetchHistory(noradId, new Date(reference - staleDays * MS_PER_DAY));
+      const newest = await provider.fetchById(noradId);
+      if (newest) candidates.push(newest);
+      const nearest = candidates.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best), entry);
+      if (nearest === entry) {
+        unavailable.push(entry.name);
+        continue;
+      }
+      updated[index] = { ...entry, tle1: nearest.tle1, tle2: nearest.tle2, source: provider.name };
+      refreshed.push({ name: entry.name, fromEpoch: epochOf(entry), toEpoch: epochOf(nearest) });
+    } catch (error) {
+      failed.push({ name: entry.name, message: error.message });
+    }
+  }
+
+  return { catalog: updated, refreshed, unavailable, failed };
+}
@@ -0,0 +1,89 @@
+import { elevationLimitAt } from './horizonMask.js';
+
+/**
+ * Station Coverage Geometry
+ * Earth-central-angle relations between orbit altitude, elevation limit and
+ * ground footprint, plus the great-circle helpers used to draw them
+ */
+
+// Constants
+const EARTH_RADIUS_KM = 6371.0;
+const DEG = Math.PI / 180;
+
+/**
+ * Earth-central angle between a station and the sub-satellite point when the
+ * satellite sits at the given elevation
+ * @param {number} altitudeKm - Satellite altitude in km
+ * @param {number} elevationDeg - Elevation seen from the station in degrees
+ * @returns {number} - Central angle in radians
+ */
+export function earthCentralAngle(altitudeKm, elevationDeg) {
+  const el = elevationDeg * DEG;
+  const nadirAngle = Math.asin((EARTH_RADIUS_KM * Math.cos(el)) / (EARTH_RADIUS_KM + altitudeKm));
+  return Math.PI / 2 - el - nadirAngle;
+}
+
+/**
+ * Ground radius of the region from which a satellite is seen above an elevation
+ * @param {number} altitudeKm - Satellite altitude in km
+ * @param {number} elevationDeg - Elevation limit in degrees
+ * @returns {number} - Great-circle radius in meters
+ */
+export function footprintRadiusMeters(altitudeKm, elevationDeg) {
+  return earthCentralAngle(altitudeKm, elevationDeg) * EARTH_RADIUS_KM * 1000;
+}
+
+/**
+ * Point reached by travelling along a great circle
+ * Longitudes are left unwrapped relative to the start so polygons stay
+ * continuous across the antimeridian.
+ * @param {number} lat - Start latitude in degrees
+ * @param {number} lng - Start longitude in degrees
+ * @param {number} bearingDeg - Initial bearing in degrees (0 = north)
+ * @param {number} angle - Angular distance in radians
+ * @returns {Array} - [lat, lng] in degrees
+ */
+export function destinationPoint(lat, lng, bearingDeg, angle) {
+  const phi1 = lat * DEG;
+  const bearing = bearingDeg * DEG;
+  const phi2 = Math.asin(
+    Math.sin(phi1) * Math.cos(angle) + Math.cos(phi1) * Math.sin(angle) * Math.cos(bearing)
+  );
+  const dLambda = Math.atan2(
+    Math.sin(bearing) * Math.sin(angle) * Math.cos(phi1),
+    Math.cos(angle) - Math.sin(phi1) * Math.sin(phi2)
+  );
+  return [phi2 / DEG, lng + dLambda / DEG];
+}
+
+/**
+ * Ground outline of where a station can see a target at a given altitude,
+ * following the station's horizon mask
+ * @param {object} station - { lat, lng, minElevation, horizonMask }
+ * @param {number} altitudeKm - Target altitude in km
+ * @param {number} minElevation - Global minimum elevation in degrees, used when the station has none
+ * @param {number} stepDeg - Azimuth spacing of the outline in degrees
+ * @returns {Array} - [[lat, lng], ...]
+ */
+export function maskFootprint(station, altitudeKm, minElevation, stepDeg = 5) {
+  const outline = [];
+  for (let azimuth = 0; azimuth < 360; azimuth += stepDeg) {
+    const limit = elevationLimitAt(station, minElevation, azimuth);
+    outline.push(destinationPoint(station.lat, station.lng, azimuth, earthCentralAngle(altitudeKm, limit)));
+  }
+  return outline;
+}
+
+/**
+ * Altitude shells a target moves through, for drawing concentric coverage rings
+ * @param {object} debris - { perigee, apogee } in km
+ * @param {number} mergeKm - Shells closer than this are drawn as one ring
+ * @returns {Array} - [{ label, altitude }] from lowest to highest
+ */
+export function altitudeShells(debris, mergeKm = 10) {
+  const shells = [{ label: 'Perigee', altitude: debris.perigee }];
+  if (debris.apogee - debris.perigee >= mergeKm) {
+    shells.push({ label: 'Apogee', altitude: debris.apogee });
+  }
+  return shells;
+}
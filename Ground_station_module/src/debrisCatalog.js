@@ -0,0 +1,63 @@
+// Sample debris catalog with TLE data
+export const DEBRIS_CATALOG = [
+  {
+    id: 1,
+    name: "Cosmos 1408 Fragment #1",
+    objectType: 'DEBRIS',
+    owner: 'CIS',
+    size: 0.5, // meters
+    mass: 15, // kg
+    material: 'ALUMINUM',
+    areaToMass: 0.02, // m²/kg
+    tle1: "1 49863U 21113A   23320.50000000  .00001234  00000-0  12345-3 0  9999",
+    tle2: "2 49863  82.5678 123.4567 0012345  45.6789 314.5678 14.89012345123456",
+    perigee: 480,
+    apogee: 520,
+    inclination: 82.5
+  },
+  {
+    id: 2,
+    name: "Fengyun-1C Fragment",
+    objectType: 'DEBRIS',
+    owner: 'PRC',
+    size: 0.3,
+    mass: 5,
+    material: 'ALUMINUM',
+    areaToMass: 0.03,
+    tle1: "1 32345U 07006A   23320.50000000  .00000987  00000-0  98765-4 0  9997",
+    tle2: "2 32345  98.7654 234.5678 0023456  67.8901 292.3456 14.12345678234567",
+    perigee: 750,
+    apogee: 820,
+    inclination: 98.7
+  },
+  {
+    id: 3,
+    name: "Rocket Body (R/B)",
+    objectType: 'ROCKET BODY',
+    owner: null,
+    size: 2.5,
+    mass: 450,
+    material: 'STEEL',
+    areaToMass: 0.008,
+    tle1: "1 12345U 99025B   23320.50000000  .00000456  00000-0  45678-4 0  9998",
+    tle2: "2 12345  51.6543 345.6789 0034567  89.0123 271.2345 15.54321098345678",
+    perigee: 380,
+    apogee: 410,
+    inclination: 51.6
+  },
+  {
+    id: 4,
+    name: "Small Fragment (Paint Flake)",
+    objectType: 'DEBRIS',
+    owner: null,
+    size: 0.1,
+    mass: 0.5,
+    material: 'MLI',
+    areaToMass: 0.05,
+    tle1: "1 98765U 19001A   23320.50000000  .00002345  00000-0  23456-3 0  9996",
+    tle2: "2 98765  45.6789 456.7890 0045678  12.3456 347.8901 15.12345678456789",
+    perigee: 550,
+    apogee: 600,
+    inclination: 45.6
+  }
+];
@@ -0,0 +1,99 @@
+import { estimateDebrisProperties } from './Physics.js';
+
+/**
+ * Debris Physical Properties
+ * Fills in the size, mass, area and material a catalog entry lacks from
+ * estimateDebrisProperties, remembering which values are estimates, and
+ * applies user overrides on top.
+ */
+
+export const PROPERTY_KEYS = ['size', 'mass', 'area', 'material'];
+
+// Characteristic size (m) for each radar cross-section class when no RCS value is given
+const SIZE_BY_RCS_CLASS = {
+  SMALL: 0.2, // RCS below 0.1 m²
+  MEDIUM: 0.6, // 0.1-1 m²
+  LARGE: 2.0 // above 1 m²
+};
+const DEFAULT_SIZE = SIZE_BY_RCS_CLASS.MEDIUM;
+
+/**
+ * estimateDebrisProperties type for a catalog OBJECT_TYPE
+ * @param {string|null} objectType - e.g. 'DEBRIS', 'ROCKET BODY', 'PAYLOAD'
+ * @returns {string} - 'FRAGMENT', 'ROCKET_BODY' or 'PAYLOAD'
+ */
+export function debrisTypeOf(objectType) {
+  const type = String(objectType || '').toUpperCase().replace(/[\s_/]+/g, ' ');
+  if (type.startsWith('ROCKET') || type === 'R B') return 'ROCKET_BODY';
+  if (type.startsWith('PAY')) return 'PAYLOAD';
+  return 'FRAGMENT';
+}
+
+/**
+ * Characteristic size from radar cross-section: the square root of a numeric
+ * RCS, or a typical size for a SMALL/MEDIUM/LARGE class
+ * @param {object} entry - { rcs: m² or null, rcsSize: class or null }
+ * @returns {number} - Meters
+ */
+function sizeFromRcs(entry) {
+  if (entry.rcs > 0) return Math.sqrt(entry.rcs);
+  return SIZE_BY_RCS_CLASS[String(entry.rcsSize || '').toUpperCase()] || DEFAULT_SIZE;
+}
+
+/**
+ * Fill the physical properties an entry lacks from its size, radar
+ * cross-section and object type. Given values are kept; an area is derived
+ * from a given area-to-mass ratio and mass. The keys filled in are listed in
+ * `estimated`, and areaToMass always follows area/mass.
+ * @param {object} entry - Catalog entry, possibly with size, mass, area, areaToMass, material, rcs, rcsSize, objectType
+ * @returns {object} - Entry with size, mass, area, areaToMass, material and estimated: [key]
+ */
+export function withEstimatedProperties(entry) {
+  const previouslyEstimated = new Set(entry.estimated || []);
+  const given = {
+    size: entry.size > 0 && !previouslyEstimated.has('size'),
+    mass: entry.mass > 0 && !previouslyEstimated.has('mass'),
+    area: entry.area > 0 && !previouslyEstimated.has('area'),
+    material: !!entry.material && !previouslyEstimated.has('material')
+  };
+
+  const size = given.size ? entry.size : sizeFromRcs(entry);
+  const estimate = estimateDebrisProperties(size, debrisTypeOf(entry.objectType));
+  const mass = given.mass ? entry.mass : estimate.mass;
+  let area = given.area ? entry.area : estimate.area;
+  if (!given.area && given.mass && entry.areaToMass > 0) {
+    // Built-in entries give the ratio rather than the area
+    area = entry.areaToMass * mass;
+    given.area = true;
+  }
+
+  return {
+    ...entry,
+    size,
+    mass,
+    area,
+    areaToMass: area / mass,
+    material: given.material ? entry.material : estimate.material,
+    estimated: PROPERTY_KEYS.filter(key => !given[key])
+  };
+}
+
+/**
+ * Set one physical property by hand. It stops being an estimate, and the
+ * remaining estimates are redone since they depend on size.
+ * @param {object} entry - Entry from withEstimatedProperties
+ * @param {string} key - One of PROPERTY_KEYS
+ * @param {number|string|null} value - New value; null returns the property to its estimate
+ * @returns {object} - Updated entry
+ */
+export function overrideProperty(entry, key, value) {
+  const estimated = new Set(entry.estimated || []);
+  if (value === null) {
+    estimated.add(key);
+  } else {
+    estimated.delete(key);
+  }
+  const updated = { ...entry, [key]: value, areaToMass: null, estimated: [] };
+  estimated.forEach(estimatedKey => { updated[estimatedKey] = null; });
+  return withEstimatedProperties(updated);
+}
@@ -0,0 +1,86 @@
+import * as satellite from 'satellite.js';
+
+/**
+ * Ground Track Generation
+ * Sub-satellite points from SGP4 and antimeridian-safe polylines for Leaflet
+ */
+
+const DEFAULT_STEP_SECONDS = 30;
+
+/**
+ * Orbital period from the TLE mean motion
+ * @param {object} satrec - Initialised SGP4 record
+ * @returns {number} - Period in minutes
+ */
+export function orbitalPeriodMinutes(satrec) {
+  return (2 * Math.PI) / satrec.no; // satrec.no is in rad/min
+}
+
+/**
+ * Sub-satellite point at one instant
+ * @param {object} satrec - Initialised SGP4 record
+ * @param {Date} time
+ * @returns {object|null} - { time, lat, lng (deg), altitude (km) } or null if propagation failed
+ */
+export function subSatellitePoint(satrec, time) {
+  const positionAndVelocity = satellite.propagate(satrec, time);
+  if (!positionAndVelocity || !positionAndVelocity.position) return null;
+
+  const geodetic = satellite.eciToGeodetic(positionAndVelocity.position, satellite.gstime(time));
+  return {
+    time,
+    lat: satellite.degreesLat(geodetic.latitude),
+    lng: satellite.degreesLong(geodetic.longitude),
+    altitude: geodetic.height
+  };
+}
+
+/**
+ * Sample the ground track over a time window
+ * @param {object} satrec - Initialised SGP4 record
+ * @param {number} startMs - Window start in milliseconds
+ * @param {number} endMs - Window end in milliseconds
+ * @param {number} stepSeconds - Sample spacing
+ * @returns {Array} - [{ time, lat, lng, altitude }]; samples that fail to propagate are skipped
+ */
+export function groundTrack(satrec, startMs, endMs, stepSeconds = DEFAULT_STEP_SECONDS) {
+  const points = [];
+  const stepMs = stepSeconds * 1000;
+  for (let timeMs = startMs; timeMs <= endMs; timeMs += stepMs) {
+    const point = subSatellitePoint(satrec, new Date(timeMs));
+    if (point) points.push(point);
+  }
+  return points;
+}
+
+/**
+ * Split a track into polylines that never jump across the antimeridian.
+ * At each crossing the track is interpolated to ±180° so both pieces reach the map edge.
+ * @param {Array} points - [{ lat, lng }] in time order
+ * @returns {Array} - [[[lat, lng], ...], ...] one array per continuous segment
+ */
+export function splitAtAntimeridian(points) {
+  const segments = [];
+  let current = [];
+
+  points.forEach((point, i) => {
+    if (i > 0) {
+      const prev = points[i - 1];
+      const dLng = point.lng - prev.lng;
+      if (Math.abs(dLng) > 180) {
+        // Eastbound crossing goes +180 → -180, westbound the reverse
+        const edge = dLng < 0 ? 180 : -180;
+        const unwrappedLng = point.lng + (dLng < 0 ? 360 : -360);
+        const fraction = (edge - prev.lng) / (unwrappedLng - prev.lng);
+        const crossingLat = prev.lat + fraction * (point.lat - prev.lat);
+        current.push([crossingLat, edge]);
+        segments.push(current);
+        current = [[crossingLat, -edge]];
+      }
+    }
+    current.push([point.lat, point.lng]);
+  });
+
+  if (current.length > 1) segments.push(current);
+  return segments;
+}
@@ -0,0 +1,75 @@
+/**
+ * Station Horizon Masks
+ * Azimuth-dependent minimum elevation for terrain, domes and buildings
+ */
+
+/**
+ * Parse a horizon mask from CSV text. One "azimuth,minElevation" pair per line
+ * (degrees); a header row, blank lines and lines starting with # are skipped.
+ * @param {string} text - CSV contents
+ * @returns {Array} - [{ azimuth, minElevation }] sorted by azimuth
+ */
+export function parseHorizonMaskCsv(text) {
+  const mask = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [azField, elField] = line.split(/[,;\t]/).map(field => field.trim());
+    const azimuth = parseFloat(azField);
+    const minElevation = parseFloat(elField);
+
+    if (Number.isNaN(azimuth) || Number.isNaN(minElevation)) {
+      if (mask.length === 0) return; // Header row
+      throw new Error(`Horizon mask line ${index + 1}: expected "azimuth,minElevation", got "${line}"`);
+    }
+    if (minElevation < -90 || minElevation > 90) {
+      throw new Error(`Horizon mask line ${index + 1}: elevation ${minElevation}° is out of range`);
+    }
+
+    mask.push({ azimuth: ((azimuth % 360) + 360) % 360, minElevation });
+  });
+
+  if (mask.length === 0) {
+    throw new Error('Horizon mask contains no azimuth/elevation pairs');
+  }
+
+  return mask.sort((a, b) => a.azimuth - b.azimuth);
+}
+
+/**
+ * Mask elevation at an azimuth, interpolated linearly and wrapping through north
+ * @param {Array} mask - [{ azimuth, minElevation }] sorted by azimuth, or null for a flat horizon
+ * @param {number} azimuth - Degrees
+ * @returns {number} - Minimum elevation in degrees (0 without a mask)
+ */
+export function maskElevationAt(mask, azimuth) {
+  if (!mask || mask.length === 0) return 0;
+  if (mask.length === 1) return mask[0].minElevation;
+
+  const az = ((azimuth % 360) + 360) % 360;
+  let upper = mask.findIndex(point => point.azimuth >= az);
+  if (upper === -1) upper = 0; // Past the last point: wrap to the first
+
+  const lower = (upper - 1 + mask.length) % mask.length;
+  const from = mask[lower];
+  const to = mask[upper];
+
+  // Angular span from the lower to the upper point, going clockwise
+  const span = ((to.azimuth - from.azimuth) + 360) % 360 || 360;
+  const offset = ((az - from.azimuth) + 360) % 360;
+  return from.minElevation + (to.minElevation - from.minElevation) * (offset / span);
+}
+
+/**
+ * Effective elevation limit for a station: the larger of its minimum elevation and its mask.
+ * A station's own minElevation takes precedence over the global value.
+ * @param {object} station - { minElevation, horizonMask }
+ * @param {number} minElevation - Global laser minimum elevation in degrees
+ * @param {number} azimuth - Degrees
+ * @returns {number} - Degrees
+ */
+export function elevationLimitAt(station, minElevation, azimuth) {
+  return Math.max(station.minElevation ?? minElevation, maskElevationAt(station.horizonMask, azimuth));
+}
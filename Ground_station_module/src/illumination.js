@@ -0,0 +1,125 @@
+import * as satellite from 'satellite.js';
+
+/**
+ * Optical Tracking Conditions
+ * Solar ephemeris, station darkness and Earth-shadow (umbra/penumbra) model.
+ * Passive optical acquisition needs a dark station and a sunlit target.
+ */
+
+// Constants
+const AU_KM = 149597870.7;
+const EARTH_EQUATORIAL_RADIUS_KM = 6378.137;
+const UMBRA_HALF_ANGLE = 0.264121687 * Math.PI / 180; // rad, Sun-Earth umbral cone
+const PENUMBRA_HALF_ANGLE = 0.269007205 * Math.PI / 180; // rad, Sun-Earth penumbral cone
+
+// Station must be in nautical twilight or darker (Sun at or below -6°)
+export const MAX_STATION_SUN_ELEVATION = -6;
+
+export const SHADOW = {
+  SUNLIT: 'SUNLIT',
+  PENUMBRA: 'PENUMBRA',
+  UMBRA: 'UMBRA'
+};
+
+export const PASS_ILLUMINATION = {
+  ENGAGEABLE: 'ENGAGEABLE', // Dark station and sunlit target for at least part of the pass
+  DAYLIGHT: 'DAYLIGHT', // Station sky too bright for passive acquisition
+  ECLIPSED: 'ECLIPSED' // Station dark but target in Earth's shadow
+};
+
+/**
+ * Geocentric Sun position (low-precision Vallado almanac, 0.01° accuracy)
+ * @param {Date} time
+ * @returns {object} - { x, y, z } in km, ECI
+ */
+export function sunPositionEci(time) {
+  const { rsun } = satellite.sunPos(satellite.jday(time));
+  return { x: rsun[0] * AU_KM, y: rsun[1] * AU_KM, z: rsun[2] * AU_KM };
+}
+
+/**
+ * Elevation of the Sun above a station's horizon
+ * @param {object} observerGd - Station geodetic position { latitude, longitude (rad), height (km) }
+ * @param {Date} time
+ * @param {object} sunEci - Optional precomputed Sun position
+ * @returns {number} - Sun elevation in degrees
+ */
+export function sunElevationAt(observerGd, time, sunEci = sunPositionEci(time)) {
+  const sunEcf = satellite.eciToEcf(sunEci, satellite.gstime(time));
+  return satellite.radiansToDegrees(satellite.ecfToLookAngles(observerGd, sunEcf).elevation);
+}
+
+/**
+ * Name the station's twilight phase from the Sun elevation
+ * @param {number} sunElevation - Degrees
+ * @returns {string} - 'DAY', 'CIVIL', 'NAUTICAL', 'ASTRONOMICAL' or 'NIGHT'
+ */
+export function twilightPhase(sunElevation) {
+  if (sunElevation > -0.833) return 'DAY';
+  if (sunElevation > -6) return 'CIVIL';
+  if (sunElevation > -12) return 'NAUTICAL';
+  if (sunElevation > -18) return 'ASTRONOMICAL';
+  return 'NIGHT';
+}
+
+/**
+ * Conical Earth-shadow test (Vallado, Algorithm 34)
+ * @param {object} satEci - Satellite position { x, y, z } in km
+ * @param {object} sunEci - Sun position { x, y, z } in km
+ * @returns {string} - SHADOW.SUNLIT, SHADOW.PENUMBRA or SHADOW.UMBRA
+ */
+export function earthShadow(satEci, sunEci) {
+  const sunDotSat = sunEci.x * satEci.x + sunEci.y * satEci.y + sunEci.z * satEci.z;
+  if (sunDotSat >= 0) return SHADOW.SUNLIT; // Satellite is on the day side
+
+  const rSat = Math.sqrt(satEci.x * satEci.x + satEci.y * satEci.y + satEci.z * satEci.z);
+  const rSun = Math.sqrt(sunEci.x * sunEci.x + sunEci.y * sunEci.y + sunEci.z * sunEci.z);
+  const cosAngle = Math.max(-1, Math.min(1, -sunDotSat / (rSat * rSun)));
+  const angle = Math.acos(cosAngle);
+
+  // Distance along the anti-Sun axis and perpendicular to it
+  const satHoriz = rSat * Math.cos(angle);
+  const satVert = rSat * Math.sin(angle);
+
+  const penumbraVertex = EARTH_EQUATORIAL_RADIUS_KM / Math.sin(PENUMBRA_HALF_ANGLE);
+  const penumbraRadius = Math.tan(PENUMBRA_HALF_ANGLE) * (penumbraVertex + satHoriz);
+  if (satVert > penumbraRadius) return SHADOW.SUNLIT;
+
+  const umbraVertex = EARTH_EQUATORIAL_RADIUS_KM / Math.sin(UMBRA_HALF_ANGLE);
+  const umbraRadius = Math.tan(UMBRA_HALF_ANGLE) * (umbraVertex - satHoriz);
+  return satVert <= umbraRadius ? SHADOW.UMBRA : SHADOW.PENUMBRA;
+}
+
+/**
+ * Optical conditions for one instant of a pass
+ * @param {object} observerGd - Station geodetic position
+ * @param {object} satEci - Satellite ECI position in km
+ * @param {Date} time
+ * @returns {object} - { sunElevation, shadow, stationDark, targetSunlit, engageable }
+ */
+export function opticalConditions(observerGd, satEci, time) {
+  const sunEci = sunPositionEci(time);
+  const sunElevation = sunElevationAt(observerGd, time, sunEci);
+  const shadow = earthShadow(satEci, sunEci);
+  const stationDark = sunElevation <= MAX_STATION_SUN_ELEVATION;
+  const targetSunlit = shadow === SHADOW.SUNLIT;
+
+  return {
+    sunElevation,
+    shadow,
+    stationDark,
+    targetSunlit,
+    engageable: stationDark && targetSunlit
+  };
+}
+
+/**
+ * Classify a pass from its sampled optical conditions
+ * @param {Array} profile - Samples carrying { stationDark, engageable }
+ * @returns {string} - One of PASS_ILLUMINATION
+ */
+export function classifyPass(profile) {
+  if (profile.some(sample => sample.engageable)) return PASS_ILLUMINATION.ENGAGEABLE;
+  if (profile.some(sample => sample.stationDark)) return PASS_ILLUMINATION.ECLIPSED;
+  return PASS_ILLUMINATION.DAYLIGHT;
+}
@@ -0,0 +1,47 @@
+/**
+ * Laser Configurations
+ * Transmitter presets a station can reference. The baseline matches the
+ * parameters in Physics.js; the others are smaller or faster-firing variants.
+ */
+
+export const DEFAULT_LASER_CONFIG = 'baseline';
+
+export const LASER_CONFIGS = {
+  baseline: {
+    name: '100 kJ, 4 m aperture',
+    PULSE_ENERGY: 100e3, // 100 kJ
+    WAVELENGTH: 1030e-9,
+    PULSE_DURATION: 5e-9,
+    TRANSMITTER_DIAMETER: 4.0,
+    BEAM_QUALITY: 1.2,
+    REPETITION_RATE: 10 // Hz
+  },
+  compact: {
+    name: '20 kJ, 2.5 m aperture',
+    PULSE_ENERGY: 20e3,
+    WAVELENGTH: 1030e-9,
+    PULSE_DURATION: 5e-9,
+    TRANSMITTER_DIAMETER: 2.5,
+    BEAM_QUALITY: 1.5,
+    REPETITION_RATE: 50
+  },
+  highRate: {
+    name: '50 kJ, 3 m aperture, 25 Hz',
+    PULSE_ENERGY: 50e3,
+    WAVELENGTH: 1064e-9,
+    PULSE_DURATION: 10e-9,
+    TRANSMITTER_DIAMETER: 3.0,
+    BEAM_QUALITY: 1.3,
+    REPETITION_RATE: 25
+  }
+};
+
+/**
+ * Laser parameters used by a station, falling back to the baseline for
+ * stations without (or with an unknown) configuration
+ * @param {object} station - { laserConfig }
+ * @returns {object} - One of LASER_CONFIGS
+ */
+export function laserConfigFor(station) {
+  return LASER_CONFIGS[station?.laserConfig] || LASER_CONFIGS[DEFAULT_LASER_CONFIG];
+}
@@ -1,8 +1,27 @@
-import React, { useState } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMapEvents } from 'react-leaflet';
+import React, { useState, useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, Popup, Circle, CircleMarker, Polygon, Polyline, Rectangle, Tooltip, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import * as satellite from 'satellite.js';
 import 'leaflet/dist/leaflet.css';
+import { parseHorizonMaskCsv } from './horizonMask.js';
+import { parseClearSkyCsv, climatologyClearSky, MONTHS } from './weather.js';
+import { parseNoFireZones, nominalOcularHazardDistance } from './airspace.js';
+import { laserConfigFor } from './laserConfigs.js';
+import { validateTle } from './tleValidation.js';
+import { maskFootprint, footprintRadiusMeters, altitudeShells } from './coverage.js';
+import { groundTrack, splitAtAntimeridian, subSatellitePoint, orbitalPeriodMinutes } from './groundTrack.js';
+import { DEFAULT_MIN_ELEVATION } from './visibility.js';
+import { getStationPasses } from './predictionCache.js';
+import { PASS_ILLUMINATION } from './illumination.js';
+import { createScenarioClock } from './scenarioClock.js';
+import { withTleOrbit } from './orbitalMechanics.js';
+import { createStation, validateStation, normalizeLongitude } from './stations.js';
+import { PLACEMENT_OBJECTIVE } from './placementOptimizer.js';
+import { DEFAULT_CELL_DEG } from './revisitMap.js';
+import CampaignPlayback, { campaignStateAt } from './CampaignPlayback.jsx';
+
+// Pass prediction lives in visibility.js; re-exported for existing imports
+export { calculateVisibilityWindows, getAllPasses } from './visibility.js';
 
 // Fix Leaflet icons
 delete L.Icon.Default.prototype._getIconUrl;
@@ -16,27 +35,476 @@ L.Icon.Default.mergeOptions({
 function LocationMarker({ onStationAdd }) {
   useMapEvents({
     click(e) {
-      onStationAdd({
-        id: Date.now(),
-        lat: e.latlng.lat,
-        lng: e.latlng.lng,
-        name: `Station ${Math.floor(e.latlng.lat)}°`
-      });
+      onStationAdd(createStation({ lat: e.latlng.lat, lng: normalizeLongitude(e.latlng.lng) }));
     },
   });
   return null;
 }
 
-export default function GroundStationMap({ stations, setStations }) {
-  const handleAddStation = (newStation) => {
-    if (stations.length < 5) {
-      setStations([...stations, newStation]);
+// Coverage is drawn for a typical LEO altitude until a target is selected
+const DEFAULT_SHELL_ALTITUDE_KM = 500;
+const SHELL_COLORS = ['#ef4444', '#f97316'];
+
+// Ground region from which each of the target's altitude shells clears the
+// station's elevation limit (its minimum elevation raised by its horizon mask)
+function StationCoverage({ station, shells }) {
+  const minElevation = station.minElevation ?? DEFAULT_MIN_ELEVATION;
+
+  const rings = useMemo(
+    () => shells.map(shell => ({
+      ...shell,
+      outline: maskFootprint(station, shell.altitude, minElevation)
+    })),
+    [station, shells, minElevation]
+  );
+
+  // Highest shell first so the smaller, lower rings stay on top
+  return [...rings].reverse().map((ring, i) => (
+    <Polygon
+      key={ring.label}
+      positions={ring.outline}
+      pathOptions={{
+        color: SHELL_COLORS[(rings.length - 1 - i) % SHELL_COLORS.length],
+        weight: 2,
+        dashArray: station.horizonMask ? '4' : null,
+        fillOpacity: 0.08
+      }}
+    >
+      <Tooltip>
+        {station.name} • {ring.label} {ring.altitude.toFixed(0)} km •{' '}
+        {(footprintRadiusMeters(ring.altitude, minElevation) / 1000).toFixed(0)} km radius at {minElevation}°
+        {station.horizonMask ? ' (clear horizon)' : ''}
+      </Tooltip>
+    </Polygon>
+  ));
+}
+
+// Popup with the station's altitude and horizon mask settings
+function StationPopup({ station, onUpdate, onDelete }) {
+  const [altitudeDraft, setAltitudeDraft] = useState(() => String(Math.round((station.altitude || 0) * 1000)));
+
+  // Follow changes made elsewhere (station panel edits)
+  useEffect(() => {
+    setAltitudeDraft(String(Math.round((station.altitude || 0) * 1000)));
+  }, [station.altitude]);
+
+  // The altitude is checked like the station panel's fields before it is committed
+  const applyAltitude = () => {
+    const altitude = parseFloat(altitudeDraft) / 1000;
+    const problem = validateStation({ ...station, altitude });
+    if (problem) {
+      alert(`${station.name}: ${problem}`);
+      setAltitudeDraft(String(Math.round((station.altitude || 0) * 1000)));
+      return;
+    }
+    onUpdate(station.id, { altitude });
+  };
+
+  const handleMaskFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const horizonMask = parseHorizonMaskCsv(await file.text());
+      onUpdate(station.id, { horizonMask, horizonMaskName: file.name });
+    } catch (error) {
+      alert(`Could not load ${file.name}: ${error.message}`);
+    }
+    e.target.value = '';
+  };
+
+  const handleClearSkyFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const clearSky = parseClearSkyCsv(await file.text());
+      onUpdate(station.id, { clearSky, clearSkyName: file.name });
+    } catch (error) {
+      alert(`Could not load ${file.name}: ${error.message}`);
+    }
+    e.target.value = '';
+  };
+
+  const handleNoFireZoneFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const noFireZones = parseNoFireZones(await file.text());
+      onUpdate(station.id, { noFireZones, noFireZonesName: file.name });
+    } catch (error) {
+      alert(`Could not load ${file.name}: ${error.message}`);
+    }
+    e.target.value = '';
+  };
+
+  const clearSky = station.clearSky || climatologyClearSky(station.lat);
+  const hazardKm = nominalOcularHazardDistance(laserConfigFor(station)) / 1000;
+
+  return (
+    <Popup>
+      <div style={{ fontSize: '12px', minWidth: '180px' }}>
+        <strong>{station.name}</strong>
+        <label style={{ display: 'block', marginTop: '8px' }}>
+          Altitude (m):{' '}
+          <input
+            type="number"
+            value={altitudeDraft}
+            onChange={(e) => setAltitudeDraft(e.target.value)}
+            onBlur={applyAltitude}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            style={{ width: '80px' }}
+          />
+        </label>
+        <div style={{ marginTop: '8px' }}>
+          Horizon mask: {station.horizonMask
+            ? `${station.horizonMaskName || 'custom'} (${station.horizonMask.length} points)`
+            : 'flat horizon'}
+        </div>
+        <input type="file" accept=".csv,.txt" onChange={handleMaskFile} style={{ marginTop: '4px', width: '100%' }} />
+        {station.horizonMask && (
+          <button onClick={() => onUpdate(station.id, { horizonMask: null, horizonMaskName: null })} style={{ marginTop: '4px' }}>
+            Clear mask
+          </button>
+        )}
+        <div style={{ marginTop: '8px' }}>
+          Clear nights: {station.clearSky ? station.clearSkyName || 'custom' : 'climatology'}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(6, 1fr)', gap: '2px', fontSize: '10px', marginTop: '2px' }}>
+          {MONTHS.map((month, i) => (
+            <span key={month}>{month} {Math.round(clearSky[i] * 100)}%</span>
+          ))}
+        </div>
+        <input type="file" accept=".csv,.txt" onChange={handleClearSkyFile} style={{ marginTop: '4px', width: '100%' }} />
+        {station.clearSky && (
+          <button onClick={() => onUpdate(station.id, { clearSky: null, clearSkyName: null })} style={{ marginTop: '4px' }}>
+            Use climatology
+          </button>
+        )}
+        <div style={{ marginTop: '8px' }}>
+          No-fire zones: {station.noFireZones
+            ? `${station.noFireZonesName || 'custom'} (${station.noFireZones.length} zones)`
+            : 'none'}
+        </div>
+        <input type="file" accept=".geojson,.json" onChange={handleNoFireZoneFile} style={{ marginTop: '4px', width: '100%' }} />
+        {station.noFireZones && (
+          <button onClick={() => onUpdate(station.id, { noFireZones: null, noFireZonesName: null })} style={{ marginTop: '4px' }}>
+            Clear zones
+          </button>
+        )}
+        <div style={{ marginTop: '4px', opacity: 0.8 }}>
+          Nominal ocular hazard distance: {Number.isFinite(hazardKm) ? `${hazardKm.toExponential(2)} km` : 'unbounded'}
+        </div>
+        <button onClick={() => onDelete(station.id)} style={{ display: 'block', marginTop: '8px' }}>
+          Delete station
+        </button>
+      </div>
+    </Popup>
+  );
+}
+
+// A station's airspace no-fire zones with their altitude bands
+function NoFireZoneLayer({ station }) {
+  return station.noFireZones.flatMap((zone, z) => zone.rings.map((ring, r) => (
+    <Polygon
+      key={`${z}-${r}`}
+      positions={ring.map(([lng, lat]) => [lat, lng])}
+      pathOptions={{ color: '#ef4444', weight: 1, dashArray: '3 3', fillOpacity: 0.12 }}
+    >
+      <Tooltip>
+        {station.name} no-fire zone • {zone.name} • {Math.round(zone.floorKm * 1000)}–{Math.round(zone.ceilingKm * 1000)} m
+      </Tooltip>
+    </Polygon>
+  )));
+}
+
+// Ground track settings
+const TRACK_ORBITS = 3; // Orbits drawn ahead of the display time
+const LIVE_TICK_MS = 5000; // Live sub-satellite point refresh
+const PASS_TRACK_STEP_SECONDS = 5;
+
+// Selected debris: ground track, sub-satellite point, visibility footprint,
+// the track segments flown inside a chosen station's passes and, during
+// campaign playback, the beams from the stations firing
+function DebrisTrackLayer({ debris, displayMs, highlightStation, beamsFrom = [] }) {
+  const satrec = useMemo(() => satellite.twoline2satrec(debris.tle1, debris.tle2), [debris]);
+
+  // The track is rebuilt once a minute; the live point moves every tick
+  const trackStartMs = Math.floor(displayMs / 60000) * 60000;
+  const trackEndMs = trackStartMs + TRACK_ORBITS * orbitalPeriodMinutes(satrec) * 60000;
+
+  const trackSegments = useMemo(
+    () => splitAtAntimeridian(groundTrack(satrec, trackStartMs, trackEndMs)),
+    [satrec, trackStartMs, trackEndMs]
+  );
+
+  // Passes come from the prediction cache with the window anchored to the UTC
+  // day, so each minute only extends the cached scan instead of repeating it
+  const passSegments = useMemo(() => {
+    if (!highlightStation) return [];
+    const dayStartMs = Math.floor(trackStartMs / 86400000) * 86400000;
+    const clock = createScenarioClock({
+      startEpoch: dayStartMs,
+      horizonDays: (trackEndMs - dayStartMs) / 86400000
+    });
+    return getStationPasses(highlightStation, debris.tle1, debris.tle2, clock, DEFAULT_MIN_ELEVATION).passes
+      .filter(pass => pass.endTime.getTime() > trackStartMs)
+      .map(pass => ({
+        key: pass.startTime.getTime(),
+        engageable: pass.illumination === PASS_ILLUMINATION.ENGAGEABLE,
+        segments: splitAtAntimeridian(
+          groundTrack(satrec, pass.startTime.getTime(), pass.endTime.getTime(), PASS_TRACK_STEP_SECONDS)
+        )
+      }));
+  }, [satrec, debris, highlightStation, trackStartMs, trackEndMs]);
+
+  const current = subSatellitePoint(satrec, new Date(displayMs));
+
+  return (
+    <>
+      {trackSegments.map((segment, i) => (
+        <Polyline key={`track-${i}`} positions={segment} pathOptions={{ color: '#818cf8', weight: 2, opacity: 0.8 }} />
+      ))}
+
+      {passSegments.map(pass => pass.segments.map((segment, i) => (
+        <Polyline
+          key={`pass-${pass.key}-${i}`}
+          positions={segment}
+          pathOptions={{ color: pass.engageable ? '#10b981' : '#f59e0b', weight: 5, opacity: 0.9 }}
+        >
+          <Tooltip>{pass.engageable ? 'Engagement pass' : 'Visible pass (not engageable)'}</Tooltip>
+        </Polyline>
+      )))}
+
+      {current && beamsFrom.map((beamFrom, i) => (
+        <Polyline
+          key={`beam-${i}`}
+          positions={[beamFrom, [current.lat, current.lng]]}
+          pathOptions={{ color: '#ef4444', weight: 3, dashArray: '6 4' }}
+        />
+      ))}
+
+      {current && (
+        <>
+          {/* Where the object is currently above the laser's minimum elevation */}
+          <Circle
+            center={[current.lat, current.lng]}
+            radius={footprintRadiusMeters(current.altitude, DEFAULT_MIN_ELEVATION)}
+            pathOptions={{ color: '#818cf8', weight: 1, fillOpacity: 0.08 }}
+          />
+          <CircleMarker
+            center={[current.lat, current.lng]}
+            radius={6}
+            pathOptions={{ color: '#e0e7ff', fillColor: '#6366f1', fillOpacity: 1, weight: 2 }}
+          >
+            <Tooltip>
+              {debris.name} • {current.altitude.toFixed(0)} km • {current.time.toISOString().slice(11, 19)} UTC
+            </Tooltip>
+          </CircleMarker>
+        </>
+      )}
+    </>
+  );
+}
+
+// Blue (low) → yellow → red (high) for a value in [0, 1]
+function heatColor(fraction) {
+  const hue = 240 - 240 * Math.max(0, Math.min(1, fraction));
+  return `hsl(${hue}, 90%, 55%)`;
+}
+
+// Placement optimizer output: every candidate coloured by what it adds to the
+// network, suggested sites ringed and numbered in pick order
+function PlacementHeatLayer({ placement }) {
+  const gains = placement.candidateScores.map(candidate => candidate.gain);
+  const minGain = Math.min(...gains);
+  const span = Math.max(...gains) - minGain || 1;
+  const unit = placement.objective === PLACEMENT_OBJECTIVE.PASSES ? 'passes/day' : 'campaign days saved';
+
+  return (
+    <>
+      {placement.candidateScores.map(candidate => (
+        <CircleMarker
+          key={`candidate-${candidate.name}`}
+          center={[candidate.lat, candidate.lng]}
+          radius={9}
+          pathOptions={{ color: 'transparent', fillColor: heatColor((candidate.gain - minGain) / span), fillOpacity: 0.75 }}
+        >
+          <Tooltip>{candidate.name}: +{candidate.gain.toFixed(2)} {unit}</Tooltip>
+        </CircleMarker>
+      ))}
+      {placement.suggestions.map(site => (
+        <CircleMarker
+          key={`suggestion-${site.name}`}
+          center={[site.lat, site.lng]}
+          radius={13}
+          pathOptions={{ color: '#f8fafc', weight: 3, fillOpacity: 0 }}
+        >
+          <Tooltip permanent direction="top">{site.round}. {site.name}</Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+}
+
+const COVERAGE_MODE = {
+  OFF: 'off',
+  PASSES: 'passes',
+  GAP: 'gap'
+};
+
+// Global revisit grid for the selected orbit; warm colours are better
+// (more engageable passes per day, or a shorter longest wait)
+function RevisitGridLayer({ grid, mode }) {
+  const half = grid.cellDeg / 2;
+  const maxPasses = Math.max(...grid.cells.map(cell => cell.passesPerDay)) || 1;
+  const horizonHours = grid.horizonDays * 24;
+
+  return grid.cells.map(cell => {
+    const fraction = mode === COVERAGE_MODE.PASSES
+      ? cell.passesPerDay / maxPasses
+      : 1 - cell.maxGapHours / horizonHours;
+    return (
+      <Rectangle
+        key={`${cell.lat},${cell.lng}`}
+        bounds={[[cell.lat - half, cell.lng - half], [cell.lat + half, cell.lng + half]]}
+        pathOptions={{ stroke: false, fillColor: heatColor(fraction), fillOpacity: cell.passesPerDay > 0 ? 0.45 : 0.15 }}
+      >
+        <Tooltip>
+          {cell.lat.toFixed(1)}°, {cell.lng.toFixed(1)}° • {cell.passesPerDay.toFixed(2)} engageable passes/day
+          ({cell.visiblePassesPerDay.toFixed(2)} visible) • longest gap {cell.maxGapHours.toFixed(1)} h
+        </Tooltip>
+      </Rectangle>
+    );
+  });
+}
+
+const overlayStyle = {
+  position: 'absolute',
+  top: '10px',
+  right: '10px',
+  zIndex: 1000,
+  padding: '8px 10px',
+  background: 'rgba(15, 23, 42, 0.9)',
+  color: '#e0e7ff',
+  border: '1px solid rgba(59, 130, 246, 0.5)',
+  borderRadius: '6px',
+  fontSize: '12px',
+  display: 'grid',
+  gap: '6px'
+};
+
+const TIME_MODE = {
+  LIVE: 'live',
+  SCENARIO: 'scenario',
+  PLAYBACK: 'playback'
+};
+
+export default function GroundStationMap({ stations, setStations, selectedDebris, scenario, placement, missionResults }) {
+  const [timeMode, setTimeMode] = useState(TIME_MODE.LIVE);
+  const [playbackMs, setPlaybackMs] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(3600);
+  const [highlightStationId, setHighlightStationId] = useState('');
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const [coverageMode, setCoverageMode] = useState(COVERAGE_MODE.OFF);
+  const [cellDeg, setCellDeg] = useState(DEFAULT_CELL_DEG);
+  const [revisitGrid, setRevisitGrid] = useState(null);
+  const [revisitProgress, setRevisitProgress] = useState(null);
+  const coverageOn = coverageMode !== COVERAGE_MODE.OFF;
+
+  // Recompute the revisit grid in a worker whenever the orbit or window changes;
+  // switching between passes and gap colouring reuses the last grid
+  useEffect(() => {
+    setRevisitGrid(null);
+    if (!coverageOn || !selectedDebris) return undefined;
+
+    const worker = new Worker(new URL('./revisitWorker.js', import.meta.url), { type: 'module' });
+    setRevisitProgress({ day: 0, days: Math.ceil(scenario.horizonDays) });
+    worker.onmessage = (e) => {
+      const message = e.data;
+      switch (message.type) {
+        case 'progress':
+          setRevisitProgress(message);
+          break;
+        case 'result':
+          setRevisitProgress(null);
+          setRevisitGrid(message.grid);
+          break;
+        case 'error':
+          setRevisitProgress(null);
+          alert(message.message);
+          break;
+      }
+    };
+    worker.postMessage({
+      tle1: selectedDebris.tle1,
+      tle2: selectedDebris.tle2,
+      scenario,
+      cellDeg,
+      minElevation: DEFAULT_MIN_ELEVATION
+    });
+    return () => {
+      worker.terminate();
+      setRevisitProgress(null);
+    };
+  }, [coverageOn, selectedDebris, scenario, cellDeg]);
+
+  useEffect(() => {
+    if (timeMode !== TIME_MODE.LIVE) return undefined;
+    const timer = setInterval(() => setNowMs(Date.now()), LIVE_TICK_MS);
+    return () => clearInterval(timer);
+  }, [timeMode]);
+
+  // Each new campaign rewinds the playback; without one there is nothing to play
+  useEffect(() => {
+    setPlaying(false);
+    if (missionResults) {
+      setPlaybackMs(new Date(missionResults.scenarioStart).getTime());
     } else {
-      alert("Max 5 stations allowed.");
+      setTimeMode(mode => (mode === TIME_MODE.PLAYBACK ? TIME_MODE.LIVE : mode));
     }
+  }, [missionResults]);
+
+  const inPlayback = timeMode === TIME_MODE.PLAYBACK && missionResults;
+  const playbackState = inPlayback ? campaignStateAt(missionResults, playbackMs) : null;
+  const trackDebris = inPlayback ? missionResults.debris : selectedDebris;
+  // SGP4 cannot draw a track from elements that fail validation
+  const trackValid = useMemo(() => !!trackDebris && validateTle(trackDebris.tle1, trackDebris.tle2).valid, [trackDebris]);
+  const beamsFrom = playbackState
+    ? playbackState.firingBeams.map(beam => [beam.stationLat, beam.stationLng])
+    : [];
+
+  let displayMs = nowMs;
+  if (timeMode === TIME_MODE.SCENARIO) displayMs = new Date(scenario.startEpoch).getTime();
+  if (inPlayback) displayMs = playbackMs;
+  const highlightStation = stations.find(station => String(station.id) === highlightStationId);
+
+  // Shells from the orbit the TLE describes, not the entered perigee/apogee
+  const shells = useMemo(
+    () => (selectedDebris && validateTle(selectedDebris.tle1, selectedDebris.tle2).valid
+      ? altitudeShells(withTleOrbit(selectedDebris))
+      : [{ label: 'Reference', altitude: DEFAULT_SHELL_ALTITUDE_KM }]),
+    [selectedDebris]
+  );
+
+  const handleAddStation = (newStation) => {
+    setStations([...stations, newStation]);
+  };
+
+  const handleUpdateStation = (id, changes) => {
+    setStations(stations.map(station => (station.id === id ? { ...station, ...changes } : station)));
+  };
+
+  const handleDeleteStation = (id) => {
+    setStations(stations.filter(station => station.id !== id));
+  };
+
+  const handleMoveStation = (id, e) => {
+    const { lat, lng } = e.target.getLatLng();
+    handleUpdateStation(id, { lat, lng: normalizeLongitude(lng) });
   };
 
   return (
+    <div style={{ position: 'relative', height: '100%', width: '100%' }}>
     <MapContainer center={[20, 0]} zoom={2} style={{ height: "100%", width: "100%" }}>
       <TileLayer
         attribution='&copy; OpenStreetMap contributors'
@@ -47,140 +515,84 @@ export default function GroundStationMap({ stations, setStations }) {
       {stations.map((station) => (
         <React.Fragment key={station.id}>
           {/* Visual Marker for the Station */}
-          <Marker position={[station.lat, station.lng]}>
-            <Popup>{station.name}</Popup>
+          <Marker
+            position={[station.lat, station.lng]}
+            draggable
+            opacity={station.active ? 1 : 0.5}
+            eventHandlers={{ dragend: (e) => handleMoveStation(station.id, e) }}
+          >
+            <StationPopup station={station} onUpdate={handleUpdateStation} onDelete={handleDeleteStation} />
           </Marker>
-          
-          {/* Visual Coverage Circle (~1000km radius approx for LEO visibility) */}
-          <Circle 
-            center={[station.lat, station.lng]}
-            pathOptions={{ color: 'red', fillOpacity: 0.1 }}
-            radius={1000000} 
-          />
+
+          {/* Coverage rings, one per altitude shell, shaped by the horizon mask */}
+          {station.active && <StationCoverage station={station} shells={shells} />}
+          {station.noFireZones && <NoFireZoneLayer station={station} />}
         </React.Fragment>
       ))}
-    </MapContainer>
-  );
-}
-
-/**
- * Estimates how many times per day a station sees a satellite based on latitude.
- * @param {number} stationLat - The latitude of the ground station (-90 to 90).
- * @param {number} debrisInclination - The orbital inclination of the debris in degrees.
- * @returns {number} - Estimated number of passes per day.
- */
-export function calculatePassesPerDay(stationLat, debrisInclination) {
-  // Convert inputs to absolute values for calculation
-  const lat = Math.abs(stationLat);
-  const inc = Math.abs(debrisInclination);
-
-  // If station is outside the orbital band, it sees nothing (simple approximation)
-  if (lat > inc + 10) return 0; 
-
-  // Formula: Higher latitude overlap = more passes (due to convergence at poles)
-  // This acts as a probability weight.
-  const passes = 2 * (1 + Math.abs(lat - inc) / 90);
-  
-  return Math.floor(passes); // Return integer
-}
 
-/**
- * Calculates precise visibility windows for a specific station and debris object.
- * @param {object} station - { lat: number, lng: number, altitude: number (km) }
- * @param {string} tleLine1 - First line of TLE data
- * @param {string} tleLine2 - Second line of TLE data
- * @param {number} daysToPredict - How many days into the future to calculate (e.g., 30)
- * @param {number} minElevation - Minimum angle (degrees) required for laser usage (default 20)
- * @returns {Array} - List of pass objects { startTime, endTime, maxElevation, duration }
- */
-export function calculateVisibilityWindows(station, tleLine1, tleLine2, daysToPredict = 30, minElevation = 20) {
-  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
-  const passes = [];
-  
-  // Simulation Step settings
-  const timeStepInMinutes = 1; // Check every minute (coarse search)
-  const startDate = new Date();
-  const endDate = new Date();
-  endDate.setDate(startDate.getDate() + daysToPredict);
-
-  let currentTime = new Date(startDate);
-  let isPassActive = false;
-  let currentPass = null;
-
-  while (currentTime < endDate) {
-    // 1. Get Position and Velocity
-    const positionAndVelocity = satellite.propagate(satrec, currentTime);
-    
-    // 2. Get Greenwich Sidereal Time (needed for Earth rotation)
-    const gmst = satellite.gstime(currentTime);
-    
-    // 3. Coordinate Transforms
-    // Convert station lat/lng to radians for satellite.js
-    const positionGd = {
-      latitude: satellite.degreesToRadians(station.lat),
-      longitude: satellite.degreesToRadians(station.lng),
-      height: 0 // Assuming sea level for simplicity, or station.altitude
-    };
+      {coverageOn && revisitGrid && <RevisitGridLayer grid={revisitGrid} mode={coverageMode} />}
 
-    // Get Look Angles (Azimuth, Elevation, Range)
-    // positionAndVelocity.position is in ECI (Earth-Centered Inertial)
-    // We need to convert ECI -> ECF (Earth-Centered Fixed) -> Topocentric (Look Angles)
-    const positionEcf = satellite.eciToEcf(positionAndVelocity.position, gmst);
-    const lookAngles = satellite.ecfToLookAngles(positionGd, positionEcf);
-
-    // Convert elevation from radians to degrees
-    const elevationDeg = satellite.radiansToDegrees(lookAngles.elevation);
-
-    // 4. Determine Pass Status
-    if (elevationDeg > minElevation) {
-      if (!isPassActive) {
-        // START OF PASS
-        isPassActive = true;
-        currentPass = {
-          startTime: new Date(currentTime),
-          maxElevation: elevationDeg,
-          azimuthStart: satellite.radiansToDegrees(lookAngles.azimuth)
-        };
-      } else {
-        // DURING PASS - Update max elevation if this moment is higher
-        if (elevationDeg > currentPass.maxElevation) {
-          currentPass.maxElevation = elevationDeg;
-        }
-      }
-    } else {
-      if (isPassActive) {
-        // END OF PASS
-        isPassActive = false;
-        currentPass.endTime = new Date(currentTime);
-        currentPass.duration = (currentPass.endTime - currentPass.startTime) / 1000; // seconds
-        
-        // Only add if the pass was meaningful (e.g. > 30 seconds)
-        if (currentPass.duration > 30) {
-          passes.push(currentPass);
-        }
-        currentPass = null;
-      }
-    }
+      {placement && <PlacementHeatLayer placement={placement} />}
 
-    // Increment time
-    currentTime.setMinutes(currentTime.getMinutes() + timeStepInMinutes);
-  }
+      {trackValid && (
+        <DebrisTrackLayer debris={trackDebris} displayMs={displayMs} highlightStation={highlightStation} beamsFrom={beamsFrom} />
+      )}
+    </MapContainer>
 
-  return passes;
-}
+    {selectedDebris && (
+      <div style={overlayStyle}>
+        <strong style={{ color: '#a5b4fc' }}>{selectedDebris.name}</strong>
+        <label>
+          Track from:{' '}
+          <select value={timeMode} onChange={(e) => setTimeMode(e.target.value)}>
+            <option value={TIME_MODE.LIVE}>Now (live)</option>
+            <option value={TIME_MODE.SCENARIO}>Scenario start</option>
+            {missionResults && <option value={TIME_MODE.PLAYBACK}>Campaign playback</option>}
+          </select>
+        </label>
+        <label>
+          Highlight passes:{' '}
+          <select value={highlightStationId} onChange={(e) => setHighlightStationId(e.target.value)}>
+            <option value="">None</option>
+            {stations.map(station => (
+              <option key={station.id} value={String(station.id)}>{station.name}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Coverage map:{' '}
+          <select value={coverageMode} onChange={(e) => setCoverageMode(e.target.value)}>
+            <option value={COVERAGE_MODE.OFF}>Off</option>
+            <option value={COVERAGE_MODE.PASSES}>Engageable passes/day</option>
+            <option value={COVERAGE_MODE.GAP}>Longest revisit gap</option>
+          </select>{' '}
+          <select value={cellDeg} onChange={(e) => setCellDeg(Number(e.target.value))}>
+            <option value={10}>10° grid</option>
+            <option value={5}>5° grid</option>
+          </select>
+        </label>
+        {revisitProgress && (
+          <div style={{ opacity: 0.8 }}>Computing coverage: day {revisitProgress.day}/{revisitProgress.days}</div>
+        )}
+        {coverageOn && revisitGrid && (
+          <div style={{ opacity: 0.8 }}>
+            Scenario window, {DEFAULT_MIN_ELEVATION}° min elevation • blue = {coverageMode === COVERAGE_MODE.PASSES ? 'few passes' : 'long gaps'}, red = {coverageMode === COVERAGE_MODE.PASSES ? `${Math.max(...revisitGrid.cells.map(cell => cell.passesPerDay)).toFixed(1)}/day` : 'short gaps'}
+          </div>
+        )}
+      </div>
+    )}
 
-/**
- * Helper function to calculate all passes for multiple stations
- * @param {Array} stations - Array of station objects with { lat, lng, altitude }
- * @param {string} tle1 - First line of TLE data
- * @param {string} tle2 - Second line of TLE data
- * @returns {Array} - Sorted array of all passes
- */
-export function getAllPasses(stations, tle1, tle2) {
-  const allPasses = stations.flatMap(station => 
-    calculateVisibilityWindows(station, tle1, tle2)
+    {inPlayback && (
+      <CampaignPlayback
+        results={missionResults}
+        timeMs={playbackMs}
+        setTimeMs={setPlaybackMs}
+        playing={playing}
+        setPlaying={setPlaying}
+        speed={playbackSpeed}
+        setSpeed={setPlaybackSpeed}
+      />
+    )}
+    </div>
   );
-  // Sort passes chronologically
-  allPasses.sort((a, b) => a.startTime - b.startTime);
-  return allPasses;
-}
\ No newline at end of file
+}
@@ -0,0 +1,25 @@
+import { runCampaign } from './campaign.js';
+
+/**
+ * Mission Worker
+ * Runs pass prediction and the campaign simulation off the main thread.
+ *
+ * In:  { debris, stations, scenario, minElevation, engagementMode, weatherTrials, avoidance, orbitElements, maxTleAgeDays }
+ * Out: { type: 'progress', phase, ... } per station, per simulated day and per cloud trial
+ *      { type: 'partial', phase, ... } as station pass lists and campaign days complete
+ *      { type: 'result', results } or { type: 'error', message }
+ * The worker lives across runs so its pass prediction cache is reused; cancelling
+ * terminates it from the main thread, which also drops the cache.
+ */
+
+self.onmessage = (e) => {
+  try {
+    const results = runCampaign(e.data, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress }),
+      onPartial: (partial) => self.postMessage({ type: 'partial', ...partial })
+    });
+    self.postMessage({ type: 'result', results });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
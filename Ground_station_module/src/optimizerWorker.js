@@ -0,0 +1,21 @@
+import { optimizePlacement } from './placementOptimizer.js';
+
+/**
+ * Placement Optimizer Worker
+ * Runs the station placement search off the main thread.
+ *
+ * In:  { stations, targets, candidates, count, objective, scenario, minElevation }
+ * Out: { type: 'progress', round, rounds, evaluated, candidates } per candidate evaluated
+ *      { type: 'result', result } or { type: 'error', message }
+ */
+
+self.onmessage = (e) => {
+  try {
+    const result = optimizePlacement(e.data, {
+      onProgress: (progress) => self.postMessage({ type: 'progress', ...progress })
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
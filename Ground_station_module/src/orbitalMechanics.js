@@ -1,4 +1,5 @@
 import * as satellite from 'satellite.js';
+import { sgp4ErrorMessage } from './tleValidation.js';
 
 /**
  * Orbital Mechanics Engine for Laser Debris Removal
@@ -229,24 +230,28 @@ export function applyDeltaV(position, velocity, deltaV, direction = 'retrograde'
  * @param {string} tleLine1 - TLE line 1
  * @param {string} tleLine2 - TLE line 2
  * @param {array} laserPasses - Array of { time, deltaV } objects
+ * @param {object} clock - Scenario clock from createScenarioClock; passes outside it are ignored
  * @returns {object} - Orbital evolution data
  */
-export function propagateWithLaserPasses(tleLine1, tleLine2, laserPasses) {
+export function propagateWithLaserPasses(tleLine1, tleLine2, laserPasses, clock) {
   const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
   
   const orbitalHistory = [];
   let currentSatrec = satrec;
   
-  // Sort passes by time
-  const sortedPasses = [...laserPasses].sort((a, b) => a.time - b.time);
+  // Sort passes by time, keeping only those inside the scenario window
+  const sortedPasses = laserPasses
+    .filter(pass => clock.contains(pass.time))
+    .sort((a, b) => a.time - b.time);
   
-  let lastTime = new Date();
+  // Orbit at the scenario start epoch
+  const initialState = satellite.propagate(satrec, clock.startEpoch);
   
   sortedPasses.forEach((pass, index) => {
     // Propagate to just before the pass
     const posVel = satellite.propagate(currentSatrec, pass.time);
     
-    if (posVel.position && posVel.velocity) {
+    if (posVel && posVel.position && posVel.velocity) {
       // Convert ECI position/velocity to km and km/s
       const pos = [posVel.position.x, posVel.position.y, posVel.position.z];
       const vel = [posVel.velocity.x, posVel.velocity.y, posVel.velocity.z];
@@ -262,11 +267,12 @@ export function propagateWithLaserPasses(tleLine1, tleLine2, laserPasses) {
       
       orbitalHistory.push({
         time: pass.time,
+        elapsedDays: clock.elapsedDays(pass.time),
         passNumber: index + 1,
         before: elemsBefore,
         after: elemsAfter,
         deltaV: pass.deltaV,
-        cumulativeDeltaV: laserPasses.slice(0, index + 1).reduce((sum, p) => sum + p.deltaV, 0),
+        cumulativeDeltaV: sortedPasses.slice(0, index + 1).reduce((sum, p) => sum + p.deltaV, 0),
         perigeeAlt: elemsAfter.perigeeAlt,
         apogeeAlt: elemsAfter.apogeeAlt,
         reEntryApproaching: elemsAfter.perigeeAlt < RE_ENTRY_THRESHOLD_KM
@@ -279,15 +285,16 @@ export function propagateWithLaserPasses(tleLine1, tleLine2, laserPasses) {
   });
   
   return {
-    initialOrbit: stateVectorsToOrbitalElements(
-      [satrec.position.x, satrec.position.y, satrec.position.z],
-      [satrec.velocity.x, satrec.velocity.y, satrec.velocity.z]
+    epoch: clock.startEpoch,
+    initialOrbit: initialState && stateVectorsToOrbitalElements(
+      [initialState.position.x, initialState.position.y, initialState.position.z],
+      [initialState.velocity.x, initialState.velocity.y, initialState.velocity.z]
     ),
     history: orbitalHistory,
     finalOrbit: orbitalHistory[orbitalHistory.length - 1]?.after,
     reEntryAchieved: orbitalHistory[orbitalHistory.length - 1]?.perigeeAlt < RE_ENTRY_THRESHOLD_KM,
-    totalDeltaV: laserPasses.reduce((sum, p) => sum + p.deltaV, 0),
-    totalPasses: laserPasses.length
+    totalDeltaV: sortedPasses.reduce((sum, p) => sum + p.deltaV, 0),
+    totalPasses: sortedPasses.length
   };
 }
 
@@ -413,6 +420,92 @@ export function isReEntryAchieved(perigeeAlt) {
   return perigeeAlt < RE_ENTRY_THRESHOLD_KM;
 }
 
+export const ORBIT_ELEMENTS = {
+  MEAN: 'mean', // SGP4 mean elements of the TLE
+  OSCULATING: 'osculating' // Instantaneous elements at a given epoch
+};
+
+// Largest difference between entered and TLE-derived geometry that is not flagged
+const ALTITUDE_TOLERANCE_KM = 15;
+const INCLINATION_TOLERANCE_DEG = 0.5;
+
+/**
+ * Perigee, apogee and inclination of a TLE's orbit
+ * @param {string} tleLine1 - First line of TLE data
+ * @param {string} tleLine2 - Second line of TLE data
+ * @param {object} options - { elements: ORBIT_ELEMENTS value, epoch: Date for osculating elements (default TLE epoch) }
+ * @returns {object} - { perigee, apogee (km altitude), inclination (deg), elements }
+ */
+export function tleOrbitGeometry(tleLine1, tleLine2, { elements = ORBIT_ELEMENTS.MEAN, epoch = null } = {}) {
+  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  if (satrec.error) {
+    throw new Error(`SGP4 rejects the elements: ${sgp4ErrorMessage(satrec.error)}`);
+  }
+
+  if (elements === ORBIT_ELEMENTS.OSCULATING) {
+    const time = epoch ? new Date(epoch) : new Date((satrec.jdsatepoch - 2440587.5) * 86400000);
+    const posVel = satellite.propagate(satrec, time);
+    if (!posVel || !posVel.position) {
+      throw new Error(`SGP4 cannot propagate to ${time.toISOString()}: ${sgp4ErrorMessage(satrec.error)}`);
+    }
+    const osculating = stateVectorsToOrbitalElements(
+      [posVel.position.x, posVel.position.y, posVel.position.z],
+      [posVel.velocity.x, posVel.velocity.y, posVel.velocity.z]
+    );
+    return {
+      perigee: osculating.perigeeAlt,
+      apogee: osculating.apogeeAlt,
+      inclination: osculating.i * (180 / Math.PI),
+      elements
+    };
+  }
+
+  // satrec.no is the SGP4 (un-Kozai'd) mean motion in rad/min
+  const meanMotion = satrec.no / 60;
+  const a = Math.cbrt(MU_EARTH / (meanMotion * meanMotion));
+  return {
+    perigee: a * (1 - satrec.ecco) - EARTH_RADIUS_KM,
+    apogee: a * (1 + satrec.ecco) - EARTH_RADIUS_KM,
+    inclination: satrec.inclo * (180 / Math.PI),
+    elements
+  };
+}
+
+/**
+ * Replace a catalog entry's hand-entered orbit with the one its TLE describes
+ * @param {object} debris - Catalog entry with tle1/tle2 and optionally perigee, apogee, inclination
+ * @param {object} options - Passed to tleOrbitGeometry
+ * @returns {object} - The entry with perigee, apogee and inclination from the TLE, plus
+ *   enteredOrbit (the values it had, or null) and orbitWarnings (entered values that disagree)
+ */
+export function withTleOrbit(debris, options = {}) {
+  const derived = tleOrbitGeometry(debris.tle1, debris.tle2, options);
+  const entered = ['perigee', 'apogee', 'inclination'].some(key => Number.isFinite(debris[key]))
+    ? { perigee: debris.perigee, apogee: debris.apogee, inclination: debris.inclination }
+    : null;
+
+  const orbitWarnings = [];
+  if (entered) {
+    [['Perigee', 'perigee', 'km', ALTITUDE_TOLERANCE_KM], ['Apogee', 'apogee', 'km', ALTITUDE_TOLERANCE_KM],
+      ['Inclination', 'inclination', '°', INCLINATION_TOLERANCE_DEG]]
+      .forEach(([label, key, unit, tolerance]) => {
+        if (Number.isFinite(entered[key]) && Math.abs(entered[key] - derived[key]) > tolerance) {
+          orbitWarnings.push(`${label} entered as ${entered[key]} ${unit} but the TLE gives ${derived[key].toFixed(unit === '°' ? 2 : 0)} ${unit} (${derived.elements})`);
+        }
+      });
+  }
+
+  return {
+    ...debris,
+    perigee: derived.perigee,
+    apogee: derived.apogee,
+    inclination: derived.inclination,
+    orbitElements: derived.elements,
+    enteredOrbit: entered,
+    orbitWarnings
+  };
+}
+
 export default {
   orbitalElementsToStateVectors,
   stateVectorsToOrbitalElements,
@@ -422,6 +515,8 @@ export default {
   trackPerigeeEvolution,
   calculateOrbitalPeriod,
   isReEntryAchieved,
+  tleOrbitGeometry,
+  withTleOrbit,
   RE_ENTRY_THRESHOLD_KM,
   EARTH_RADIUS_KM
 };
@@ -0,0 +1,204 @@
+import { predictNetworkPasses, groupOverlappingPasses, simulateCoordinatedEngagement, flyWindows, ENGAGEMENT_MODE } from './campaign.js';
+import { withTleOrbit } from './orbitalMechanics.js';
+import { laserConfigFor } from './laserConfigs.js';
+import { airspaceClosures } from './airspace.js';
+import { DEFAULT_MIN_ELEVATION } from './visibility.js';
+import { PASS_ILLUMINATION } from './illumination.js';
+import { createScenarioClock } from './scenarioClock.js';
+import { PRESET_NETWORKS } from './stationNetworks.js';
+import { createStation } from './stations.js';
+import { assertValidTle } from './tleValidation.js';
+
+/**
+ * Station Placement Optimizer
+ * Greedy search for the additional sites that most improve a network against
+ * a set of targets. Networks are scored with the campaign code the Mission
+ * Planner runs (handover engagements, clear skies, no avoidance catalog): each
+ * site is predicted once per target, and each engagement window is flown once
+ * however many candidate networks share it.
+ */
+
+export const PLACEMENT_OBJECTIVE = {
+  PASSES: 'PASSES', // Maximise engageable passes per day
+  DURATION: 'DURATION' // Minimise total campaign duration
+};
+
+// Campaigns that do not reach re-entry within the evaluation window count as this long
+const MAX_CAMPAIGN_DAYS = 3650;
+
+// Land sites with existing observatories or infrastructure, beyond the preset networks
+const ADDITIONAL_SITES = [
+  { name: 'Cerro Tololo', lat: -30.1690, lng: -70.8063, altitude: 2.207 },
+  { name: 'Las Campanas', lat: -29.0146, lng: -70.6926, altitude: 2.380 },
+  { name: 'San Pedro Mártir', lat: 31.0444, lng: -115.4637, altitude: 2.800 },
+  { name: 'Apache Point', lat: 32.7803, lng: -105.8203, altitude: 2.788 },
+  { name: 'Palomar', lat: 33.3563, lng: -116.8650, altitude: 1.712 },
+  { name: 'Pic du Midi', lat: 42.9364, lng: 0.1425, altitude: 2.877 },
+  { name: 'Terskol', lat: 43.2750, lng: 42.5003, altitude: 3.143 },
+  { name: 'Xinglong', lat: 40.3958, lng: 117.5775, altitude: 0.900 },
+  { name: 'Lijiang', lat: 26.6951, lng: 100.0300, altitude: 3.193 },
+  { name: 'Devasthal', lat: 29.3600, lng: 79.6850, altitude: 2.450 },
+  { name: 'Mitzpe Ramon', lat: 30.5960, lng: 34.7630, altitude: 0.875 },
+  { name: 'Gamsberg', lat: -23.3417, lng: 16.2250, altitude: 2.347 },
+  { name: 'Mount John', lat: -43.9856, lng: 170.4650, altitude: 1.029 },
+  { name: 'Pico dos Dias', lat: -22.5344, lng: -45.5825, altitude: 1.864 },
+  { name: 'Bosque Alegre', lat: -31.5983, lng: -64.5458, altitude: 1.250 },
+  { name: 'Tahiti', lat: -17.5770, lng: -149.6060, altitude: 0.098 },
+  { name: 'Ascension Island', lat: -7.9500, lng: -14.4000, altitude: 0.080 },
+  { name: 'Réunion', lat: -21.2000, lng: 55.4100, altitude: 2.200 },
+  { name: 'Guam', lat: 13.4443, lng: 144.7937, altitude: 0.100 },
+  { name: 'Kwajalein', lat: 9.3950, lng: 167.4790, altitude: 0.010 },
+  { name: 'Svalbard', lat: 78.2298, lng: 15.4078, altitude: 0.500 },
+  { name: 'Kiruna', lat: 67.8558, lng: 20.2253, altitude: 0.400 },
+  { name: 'Fairbanks', lat: 64.8590, lng: -147.8490, altitude: 0.300 },
+  { name: 'Ushuaia', lat: -54.8019, lng: -68.3030, altitude: 0.050 },
+  { name: 'Kerguelen', lat: -49.3510, lng: 70.2560, altitude: 0.030 }
+];
+
+/**
+ * Built-in candidate sites: every preset network site plus ADDITIONAL_SITES, without duplicates
+ * @returns {Array} - [{ name, lat, lng, altitude }]
+ */
+export function defaultCandidateSites() {
+  const sites = new Map();
+  PRESET_NETWORKS.flatMap(network => network.stations)
+    .concat(ADDITIONAL_SITES)
+    .forEach(site => sites.set(site.name, site));
+  return [...sites.values()];
+}
+
+// Key of an engagement window: its passes, by station and start time
+function windowKey(debris, passes) {
+  return `${debris.id}:${passes.map(pass => `${pass.stationId}@${pass.startTime.getTime()}`).join('|')}`;
+}
+
+/**
+ * Suggest additional station sites for a network
+ * @param {object} request - {
+ *   stations: current network,
+ *   targets: debris catalog entries,
+ *   candidates: [{ name, lat, lng, altitude }] (defaults to defaultCandidateSites()),
+ *   count: number of sites to add,
+ *   objective: PLACEMENT_OBJECTIVE value,
+ *   scenario: { startEpoch, horizonDays } evaluation window,
+ *   minElevation
+ * }
+ * @param {object} callbacks - { onProgress({ round, rounds, evaluated, candidates }) }
+ * @returns {object} - {
+ *   objective, baseline (network score before additions),
+ *   suggestions: [{ ...site, round, gain, score }] in pick order; fewer than count when no site helps,
+ *   candidateScores: [{ ...site, score, gain }] marginal value of every candidate over the current network,
+ *   unfinished: names of targets the network with the suggestions still cannot bring to re-entry within
+ *     the evaluation window (DURATION objective; each counts as MAX_CAMPAIGN_DAYS)
+ * }
+ * @throws {Error} - When a target's TLE is invalid
+ */
+export function optimizePlacement({
+  stations,
+  targets: catalogEntries,
+  candidates = defaultCandidateSites(),
+  count,
+  objective = PLACEMENT_OBJECTIVE.PASSES,
+  scenario,
+  minElevation = DEFAULT_MIN_ELEVATION
+}, { onProgress } = {}) {
+  if (catalogEntries.length === 0) {
+    throw new Error('Select at least one target debris object');
+  }
+
+  const clock = createScenarioClock(scenario);
+  catalogEntries.forEach(debris => assertValidTle(debris, clock.startEpoch));
+  const targets = catalogEntries.map(debris => withTleOrbit(debris, { epoch: clock.startEpoch }));
+  const network = stations.filter(station => station.active !== false);
+  // Sites already in the network are not candidates
+  const candidateStations = candidates
+    .filter(site => !network.some(station =>
+      Math.abs(station.lat - site.lat) < 0.01 && Math.abs(station.lng - site.lng) < 0.01))
+    .map(site => createStation(site));
+
+  const sitesById = new Map([...network, ...candidateStations].map(site => [site.id, site]));
+
+  // Engageable passes of each site, keyed by station and target
+  const passCache = new Map();
+  const passesOf = (site, debris) => {
+    const key = `${site.id}:${debris.id}`;
+    if (!passCache.has(key)) {
+      passCache.set(key, predictNetworkPasses([site], debris, clock, minElevation).passes
+        .filter(pass => pass.illumination === PASS_ILLUMINATION.ENGAGEABLE));
+    }
+    return passCache.get(key);
+  };
+
+  // Coordinated engagement of each window, as runCampaign flies it
+  const engagementCache = new Map();
+  const engageWindow = (debris) => (passes) => {
+    const key = windowKey(debris, passes);
+    if (!engagementCache.has(key)) {
+      engagementCache.set(key, simulateCoordinatedEngagement(
+        debris,
+        passes.map(pass => {
+          const site = sitesById.get(pass.stationId);
+          const laser = laserConfigFor(site);
+          return {
+            stationId: pass.stationId,
+            profile: pass.profile,
+            laser,
+            closures: airspaceClosures(pass, site, laser).map(closure => [closure.startMs, closure.endMs])
+          };
+        }),
+        ENGAGEMENT_MODE.HANDOVER
+      ));
+    }
+    return engagementCache.get(key);
+  };
+
+  const windowsOf = (sites, debris) => groupOverlappingPasses(
+    sites.flatMap(site => passesOf(site, debris)).sort((a, b) => a.startTime - b.startTime)
+  );
+  const flightOf = (sites, debris) => flyWindows(debris, windowsOf(sites, debris), engageWindow(debris), clock);
+
+  // Network score; higher is better for both objectives
+  const scoreNetwork = (sites) => targets.reduce((sum, debris) => {
+    if (objective === PLACEMENT_OBJECTIVE.PASSES) return sum + windowsOf(sites, debris).length / clock.horizonDays;
+    const flight = flightOf(sites, debris);
+    return sum - (flight.reEntryPass ? flight.durationDays : MAX_CAMPAIGN_DAYS);
+  }, 0);
+
+  const baseline = scoreNetwork(network);
+  const rounds = Math.min(count, candidateStations.length);
+  const chosen = [];
+  const suggestions = [];
+  let current = baseline;
+  let candidateScores = [];
+
+  for (let round = 1; round <= rounds; round++) {
+    const remaining = candidateStations.filter(candidate => !chosen.includes(candidate));
+    const evaluated = remaining.map((candidate, i) => {
+      const score = scoreNetwork([...network, ...chosen, candidate]);
+      onProgress?.({ round, rounds, evaluated: i + 1, candidates: remaining.length });
+      return { candidate, score, gain: score - current };
+    });
+
+    // First-round gains are what each candidate adds to the current network
+    if (round === 1) {
+      candidateScores = evaluated.map(({ candidate, score, gain }) => ({ ...siteOf(candidate), score, gain }));
+    }
+
+    const best = evaluated.reduce((a, b) => (b.gain > a.gain ? b : a));
+    if (best.gain <= 0) break; // No remaining site improves the network
+    chosen.push(best.candidate);
+    current = best.score;
+    suggestions.push({ ...siteOf(best.candidate), round, gain: best.gain, score: best.score });
+  }
+
+  const unfinished = objective === PLACEMENT_OBJECTIVE.DURATION
+    ? targets.filter(debris => !flightOf([...network, ...chosen], debris).reEntryPass).map(debris => debris.name)
+    : [];
+
+  return { objective, baseline, suggestions, candidateScores, unfinished };
+}
+
+// Plain site fields for results crossing the worker boundary
+function siteOf(station) {
+  return { name: station.name, lat: station.lat, lng: station.lng, altitude: station.altitude };
+}
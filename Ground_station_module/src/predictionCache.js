@@ -0,0 +1,146 @@
+import { scanPasses, COARSE_STEP_SECONDS } from './visibility.js';
+
+/**
+ * Pass Prediction Cache
+ * Station pass lists keyed by TLE, station location/altitude/mask, elevation
+ * constraint and window start. A longer window extends the cached scan instead
+ * of starting over; a shorter one is served from it. Passes carry their
+ * per-second engagement profiles, so the cache is bounded by the number of
+ * profile samples it holds as well as by its entry count.
+ */
+
+const MAX_ENTRIES = 64;
+const MAX_SAMPLES = 250000; // ~85 MB at ~340 bytes a sample; a 90-day LEO scan of one station holds ~50k
+const DAY_MS = 86400 * 1000;
+
+// Insertion-ordered, so the first key is the least recently used
+const cache = new Map();
+
+/**
+ * Build the cache key for a prediction
+ * @param {object} station - { lat, lng, altitude, minElevation, horizonMask }
+ * @param {string} tleLine1 - First line of TLE data
+ * @param {string} tleLine2 - Second line of TLE data
+ * @param {number} startMs - Window start in milliseconds
+ * @param {number} minElevation - Minimum elevation in degrees
+ * @returns {string}
+ */
+export function predictionKey(station, tleLine1, tleLine2, startMs, minElevation) {
+  return JSON.stringify([
+    tleLine1.trim(),
+    tleLine2.trim(),
+    station.lat,
+    station.lng,
+    station.altitude || 0,
+    station.horizonMask || null,
+    station.minElevation ?? null,
+    minElevation,
+    startMs
+  ]);
+}
+
+// Profile samples held by a list of passes
+function sampleCount(passes) {
+  return passes.reduce((sum, pass) => sum + pass.profile.length, 0);
+}
+
+/**
+ * Passes of a cached scan that a fresh scan ending at endMs would also have found:
+ * those whose first grid point after LOS falls inside the window
+ * @param {Array} passes - Cached passes
+ * @param {number} startMs - Grid origin in milliseconds
+ * @param {number} endMs - Window end in milliseconds
+ * @returns {Array}
+ */
+function passesWithin(passes, startMs, endMs) {
+  const stepMs = COARSE_STEP_SECONDS * 1000;
+  return passes.filter(pass => {
+    const losMs = pass.endTime.getTime();
+    const closingSampleMs = startMs + Math.ceil((losMs - startMs) / stepMs) * stepMs;
+    return closingSampleMs < endMs;
+  });
+}
+
+/**
+ * Station passes for a scenario window, reusing earlier predictions where possible
+ * @param {object} station - Station object
+ * @param {string} tleLine1 - First line of TLE data
+ * @param {string} tleLine2 - Second line of TLE data
+ * @param {object} clock - Scenario clock
+ * @param {number} minElevation - Minimum elevation in degrees
+ * @param {function} onDayComplete - Optional (daysDone) progress callback
+ * @returns {object} - { passes, source: 'cached' | 'extended' | 'computed', propagationFailure }
+ *   where propagationFailure is { time, message } when SGP4 failed inside the window, else null
+ */
+export function getStationPasses(station, tleLine1, tleLine2, clock, minElevation, onDayComplete) {
+  const key = predictionKey(station, tleLine1, tleLine2, clock.startMs, minElevation);
+  const entry = cache.get(key);
+
+  let source;
+  if (entry && entry.endMs >= clock.endMs) {
+    source = 'cached';
+    onDayComplete?.(Math.ceil(clock.horizonDays));
+  } else if (entry) {
+    // Scan on from the last idle grid point; earlier days are already done
+    const daysCached = Math.floor((entry.resumeMs - clock.startMs) / DAY_MS);
+    const extension = scanPasses(
+      station, tleLine1, tleLine2, entry.resumeMs, clock.endMs, minElevation,
+      onDayComplete && ((days) => onDayComplete(Math.min(daysCached + days, Math.ceil(clock.horizonDays))))
+    );
+    entry.passes = entry.passes.concat(extension.passes);
+    entry.samples += sampleCount(extension.passes);
+    entry.resumeMs = extension.resumeMs;
+    entry.endMs = clock.endMs;
+    entry.propagationFailure = extension.propagationFailure;
+    source = 'extended';
+  } else {
+    const scan = scanPasses(station, tleLine1, tleLine2, clock.startMs, clock.endMs, minElevation, onDayComplete);
+    cache.set(key, {
+      passes: scan.passes,
+      samples: sampleCount(scan.passes),
+      resumeMs: scan.resumeMs,
+      endMs: clock.endMs,
+      propagationFailure: scan.propagationFailure
+    });
+    source = 'computed';
+  }
+
+  // Mark as most recently used and drop the oldest entries; the one just used is always kept
+  const current = cache.get(key);
+  cache.delete(key);
+  cache.set(key, current);
+  let samples = 0;
+  cache.forEach(cached => { samples += cached.samples; });
+  while (cache.size > 1 && (cache.size > MAX_ENTRIES || samples > MAX_SAMPLES)) {
+    const oldest = cache.keys().next().value;
+    samples -= cache.get(oldest).samples;
+    cache.delete(oldest);
+  }
+
+  const failure = current.propagationFailure;
+  return {
+    passes: passesWithin(current.passes, clock.startMs, clock.endMs),
+    source,
+    propagationFailure: failure && failure.time.getTime() < clock.endMs ? failure : null
+  };
+}
+
+/**
+ * Drop every cached prediction
+ */
+export function clearPredictionCache() {
+  cache.clear();
+}
+
+/**
+ * @returns {object} - { entries, passes, samples } currently held
+ */
+export function predictionCacheStats() {
+  let passes = 0;
+  let samples = 0;
+  cache.forEach(entry => {
+    passes += entry.passes.length;
+    samples += entry.samples;
+  });
+  return { entries: cache.size, passes, samples };
+}
@@ -0,0 +1,142 @@
+import * as satellite from 'satellite.js';
+import { COARSE_STEP_SECONDS, DEFAULT_MIN_ELEVATION } from './visibility.js';
+import { sunPositionEci, earthShadow, SHADOW, MAX_STATION_SUN_ELEVATION } from './illumination.js';
+
+/**
+ * Global Revisit Map
+ * Engageable passes per day and the longest wait between them for a sea-level
+ * station at every cell of a latitude/longitude grid. The satellite and Sun
+ * are propagated once per coarse step and shared by all cells, so each cell
+ * costs a few dot products per step instead of a full pass prediction.
+ * Passes shorter than one coarse step can be missed.
+ */
+
+const DEG = Math.PI / 180;
+const MS_PER_DAY = 86400 * 1000;
+export const DEFAULT_CELL_DEG = 10;
+
+/**
+ * Grid cell centres with their local vertical and position on the ellipsoid
+ * @param {number} cellDeg - Cell size in degrees
+ * @returns {Array} - [{ lat, lng, up: {x,y,z}, ecf: {x,y,z} }]
+ */
+function buildGrid(cellDeg) {
+  const cells = [];
+  for (let lat = -90 + cellDeg / 2; lat < 90; lat += cellDeg) {
+    for (let lng = -180 + cellDeg / 2; lng < 180; lng += cellDeg) {
+      const phi = lat * DEG;
+      const lambda = lng * DEG;
+      cells.push({
+        lat,
+        lng,
+        up: { x: Math.cos(phi) * Math.cos(lambda), y: Math.cos(phi) * Math.sin(lambda), z: Math.sin(phi) },
+        ecf: satellite.geodeticToEcf({ latitude: phi, longitude: lambda, height: 0 })
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Revisit statistics for every grid cell over the scenario window
+ * @param {string} tleLine1 - First line of TLE data
+ * @param {string} tleLine2 - Second line of TLE data
+ * @param {object} clock - Scenario clock
+ * @param {object} options - { cellDeg, minElevation }
+ * @param {function} onDayComplete - Optional (daysDone) progress callback
+ * @returns {object} - { cellDeg, horizonDays, cells: [{ lat, lng, passesPerDay, visiblePassesPerDay, maxGapHours }] }
+ *   maxGapHours is the longest time without an engageable pass, window edges included
+ */
+export function computeRevisitGrid(tleLine1, tleLine2, clock, { cellDeg = DEFAULT_CELL_DEG, minElevation = DEFAULT_MIN_ELEVATION } = {}, onDayComplete) {
+  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  const grid = buildGrid(cellDeg);
+  const n = grid.length;
+  const sinMinElevation = Math.sin(minElevation * DEG);
+  const sinMaxSunElevation = Math.sin(MAX_STATION_SUN_ELEVATION * DEG);
+
+  const inPass = new Uint8Array(n);
+  const passEngageable = new Uint8Array(n);
+  const passStartMs = new Float64Array(n);
+  const passLastMs = new Float64Array(n);
+  const lastEngageableEndMs = new Float64Array(n).fill(clock.startMs);
+  const maxGapMs = new Float64Array(n);
+  const engageablePasses = new Uint32Array(n);
+  const visiblePasses = new Uint32Array(n);
+
+  const closePass = (i) => {
+    inPass[i] = 0;
+    visiblePasses[i] += 1;
+    if (!passEngageable[i]) return;
+    engageablePasses[i] += 1;
+    maxGapMs[i] = Math.max(maxGapMs[i], passStartMs[i] - lastEngageableEndMs[i]);
+    lastEngageableEndMs[i] = passLastMs[i];
+  };
+
+  const stepMs = COARSE_STEP_SECONDS * 1000;
+  let daysReported = 0;
+
+  for (let timeMs = clock.startMs; timeMs < clock.endMs; timeMs += stepMs) {
+    const time = new Date(timeMs);
+    const positionAndVelocity = satellite.propagate(satrec, time);
+    const day = Math.floor((timeMs - clock.startMs) / MS_PER_DAY);
+    if (day > daysReported) {
+      daysReported = day;
+      onDayComplete?.(day);
+    }
+
+    if (!positionAndVelocity || !positionAndVelocity.position) {
+      // Propagation failed: the object is not visible anywhere at this step
+      for (let i = 0; i < n; i++) if (inPass[i]) closePass(i);
+      continue;
+    }
+
+    const gmst = satellite.gstime(time);
+    const satEcf = satellite.eciToEcf(positionAndVelocity.position, gmst);
+    const sunEci = sunPositionEci(time);
+    const sunEcf = satellite.eciToEcf(sunEci, gmst);
+    const sunNorm = Math.sqrt(sunEcf.x * sunEcf.x + sunEcf.y * sunEcf.y + sunEcf.z * sunEcf.z);
+    const targetSunlit = earthShadow(positionAndVelocity.position, sunEci) === SHADOW.SUNLIT;
+
+    for (let i = 0; i < n; i++) {
+      const { up, ecf } = grid[i];
+      const dx = satEcf.x - ecf.x;
+      const dy = satEcf.y - ecf.y;
+      const dz = satEcf.z - ecf.z;
+      const range = Math.sqrt(dx * dx + dy * dy + dz * dz);
+      const visible = (dx * up.x + dy * up.y + dz * up.z) / range > sinMinElevation;
+
+      if (visible) {
+        if (!inPass[i]) {
+          inPass[i] = 1;
+          passEngageable[i] = 0;
+          passStartMs[i] = timeMs;
+        }
+        passLastMs[i] = timeMs;
+        // Station darkness from the Sun's direction; parallax is negligible at 1 AU
+        if (targetSunlit && (sunEcf.x * up.x + sunEcf.y * up.y + sunEcf.z * up.z) / sunNorm <= sinMaxSunElevation) {
+          passEngageable[i] = 1;
+        }
+      } else if (inPass[i]) {
+        closePass(i);
+      }
+    }
+  }
+
+  for (let i = 0; i < n; i++) {
+    if (inPass[i]) closePass(i);
+    maxGapMs[i] = Math.max(maxGapMs[i], clock.endMs - lastEngageableEndMs[i]);
+  }
+  onDayComplete?.(Math.ceil(clock.horizonDays));
+
+  return {
+    cellDeg,
+    horizonDays: clock.horizonDays,
+    cells: grid.map(({ lat, lng }, i) => ({
+      lat,
+      lng,
+      passesPerDay: engageablePasses[i] / clock.horizonDays,
+      visiblePassesPerDay: visiblePasses[i] / clock.horizonDays,
+      maxGapHours: maxGapMs[i] / 3600000
+    }))
+  };
+}
@@ -0,0 +1,24 @@
+import { computeRevisitGrid } from './revisitMap.js';
+import { createScenarioClock } from './scenarioClock.js';
+
+/**
+ * Revisit Map Worker
+ * Computes the global revisit grid off the main thread.
+ *
+ * In:  { tle1, tle2, scenario, cellDeg, minElevation }
+ * Out: { type: 'progress', day, days } per simulated day
+ *      { type: 'result', grid } or { type: 'error', message }
+ */
+
+self.onmessage = (e) => {
+  const { tle1, tle2, scenario, cellDeg, minElevation } = e.data;
+  try {
+    const clock = createScenarioClock(scenario);
+    const days = Math.ceil(clock.horizonDays);
+    const grid = computeRevisitGrid(tle1, tle2, clock, { cellDeg, minElevation },
+      (day) => self.postMessage({ type: 'progress', day, days }));
+    self.postMessage({ type: 'result', grid });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Scenario Clock
+ * A single start epoch and horizon shared by pass prediction, orbital evolution
+ * and cost analysis, so the same scenario always produces the same campaign
+ */
+
+const MS_PER_DAY = 86400 * 1000;
+export const DEFAULT_HORIZON_DAYS = 90;
+
+/**
+ * Midnight UTC of the current day, used as the default scenario start
+ * @returns {Date}
+ */
+export function defaultStartEpoch() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Create a scenario clock
+ * @param {object} scenario - { startEpoch: Date|string|number, horizonDays: number }
+ * @returns {object} - { startEpoch, endEpoch, horizonDays, startMs, endMs, elapsedDays(time), contains(time) }
+ */
+export function createScenarioClock({ startEpoch, horizonDays = DEFAULT_HORIZON_DAYS }) {
+  const startMs = new Date(startEpoch).getTime();
+  if (Number.isNaN(startMs)) {
+    throw new Error(`Invalid scenario start epoch: ${startEpoch}`);
+  }
+  if (!(horizonDays > 0)) {
+    throw new Error(`Scenario horizon must be positive, got ${horizonDays} days`);
+  }
+  const endMs = startMs + horizonDays * MS_PER_DAY;
+
+  return {
+    startEpoch: new Date(startMs),
+    endEpoch: new Date(endMs),
+    horizonDays,
+    startMs,
+    endMs,
+    // Days since scenario start for a Date or millisecond timestamp
+    elapsedDays: (time) => (new Date(time).getTime() - startMs) / MS_PER_DAY,
+    contains: (time) => {
+      const t = new Date(time).getTime();
+      return t >= startMs && t < endMs;
+    }
+  };
+}
+
+/**
+ * Read the epoch from TLE line 1 (columns 19-32, YYDDD.DDDDDDDD)
+ * @param {string} tleLine1 - First line of TLE data
+ * @returns {Date} - TLE epoch in UTC
+ */
+export function getTleEpoch(tleLine1) {
+  const twoDigitYear = parseInt(tleLine1.substring(18, 20), 10);
+  const dayOfYear = parseFloat(tleLine1.substring(20, 32));
+  // Two-digit years 57-99 are 1957-1999, 00-56 are 2000-2056
+  const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+  return new Date(Date.UTC(year, 0, 1) + (dayOfYear - 1) * MS_PER_DAY);
+}
+
+/**
+ * Format a Date for a datetime-local input, interpreted as UTC
+ * @param {Date} date
+ * @returns {string} - 'YYYY-MM-DDTHH:mm'
+ */
+export function toUtcInputValue(date) {
+  return new Date(date).toISOString().slice(0, 16);
+}
+
+/**
+ * Parse a datetime-local input value as UTC
+ * @param {string} value - 'YYYY-MM-DDTHH:mm'
+ * @returns {Date}
+ */
+export function fromUtcInputValue(value) {
+  return new Date(`${value}:00Z`);
+}
@@ -0,0 +1,119 @@
+import { createStation } from './stations.js';
+
+/**
+ * Station Networks
+ * Built-in network presets and user networks saved in localStorage
+ */
+
+const STORAGE_KEY = 'laserPlanner.stationNetworks';
+
+// Approximate site coordinates; altitude in km
+const SLR_EUROPE = [
+  { name: 'Wettzell', lat: 49.1444, lng: 12.8780, altitude: 0.661 },
+  { name: 'Matera', lat: 40.6486, lng: 16.7046, altitude: 0.536 },
+  { name: 'Herstmonceux', lat: 50.8674, lng: 0.3361, altitude: 0.075 },
+  { name: 'Graz', lat: 47.0671, lng: 15.4933, altitude: 0.539 },
+  { name: 'Grasse', lat: 43.7546, lng: 6.9216, altitude: 1.323 },
+  { name: 'Zimmerwald', lat: 46.8772, lng: 7.4652, altitude: 0.951 },
+  { name: 'Potsdam', lat: 52.3830, lng: 13.0650, altitude: 0.123 },
+  { name: 'Borowiec', lat: 52.2770, lng: 17.0746, altitude: 0.123 },
+  { name: 'Riga', lat: 56.9486, lng: 24.0591, altitude: 0.031 }
+];
+
+const SLR_WORLDWIDE = [
+  { name: 'Yarragadee', lat: -29.0464, lng: 115.3467, altitude: 0.244 },
+  { name: 'Mount Stromlo', lat: -35.3161, lng: 149.0099, altitude: 0.805 },
+  { name: 'Hartebeesthoek', lat: -25.8897, lng: 27.6861, altitude: 1.406 },
+  { name: 'Greenbelt', lat: 39.0206, lng: -76.8277, altitude: 0.019 },
+  { name: 'McDonald', lat: 30.6802, lng: -104.0152, altitude: 1.964 },
+  { name: 'Haleakala', lat: 20.7067, lng: -156.2571, altitude: 3.068 },
+  { name: 'Changchun', lat: 43.7907, lng: 125.4435, altitude: 0.274 },
+  { name: 'Shanghai', lat: 31.0961, lng: 121.1866, altitude: 0.099 },
+  { name: 'Simosato', lat: 33.5777, lng: 135.9370, altitude: 0.101 },
+  { name: 'San Juan', lat: -31.5086, lng: -68.6232, altitude: 0.727 },
+  { name: 'Arequipa', lat: -16.4657, lng: -71.4930, altitude: 2.492 },
+  { name: 'Wettzell', lat: 49.1444, lng: 12.8780, altitude: 0.661 },
+  { name: 'Matera', lat: 40.6486, lng: 16.7046, altitude: 0.536 },
+  { name: 'Herstmonceux', lat: 50.8674, lng: 0.3361, altitude: 0.075 },
+  { name: 'Graz', lat: 47.0671, lng: 15.4933, altitude: 0.539 }
+];
+
+const OPTICAL_OBSERVATORIES = [
+  { name: 'Paranal', lat: -24.6275, lng: -70.4044, altitude: 2.635 },
+  { name: 'La Silla', lat: -29.2567, lng: -70.7346, altitude: 2.400 },
+  { name: 'Mauna Kea', lat: 19.8207, lng: -155.4681, altitude: 4.205 },
+  { name: 'Roque de los Muchachos', lat: 28.7606, lng: -17.8816, altitude: 2.396 },
+  { name: 'Teide', lat: 28.3000, lng: -16.5097, altitude: 2.390 },
+  { name: 'Kitt Peak', lat: 31.9583, lng: -111.5967, altitude: 2.096 },
+  { name: 'Mount Graham', lat: 32.7016, lng: -109.8719, altitude: 3.191 },
+  { name: 'Siding Spring', lat: -31.2733, lng: 149.0617, altitude: 1.165 },
+  { name: 'Sutherland', lat: -32.3794, lng: 20.8107, altitude: 1.798 },
+  { name: 'Calar Alto', lat: 37.2236, lng: -2.5463, altitude: 2.168 },
+  { name: 'Hanle', lat: 32.7794, lng: 78.9642, altitude: 4.500 },
+  { name: 'Maidanak', lat: 38.6733, lng: 66.8964, altitude: 2.593 }
+];
+
+export const PRESET_NETWORKS = [
+  { name: 'SLR stations - Europe', stations: SLR_EUROPE },
+  { name: 'SLR stations - worldwide', stations: SLR_WORLDWIDE },
+  { name: 'Large optical observatories', stations: OPTICAL_OBSERVATORIES }
+];
+
+/**
+ * Networks saved by the user
+ * @returns {Array} - [{ name, stations, savedAt }]; empty when nothing is stored or storage is unreadable
+ */
+export function loadSavedNetworks() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Save the current stations under a name, replacing a network of the same name
+ * @param {string} name - Network name
+ * @param {Array} stations - Station objects
+ * @returns {Array} - Updated list of saved networks
+ */
+export function saveNetwork(name, stations) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Enter a name for the network');
+  }
+  if (PRESET_NETWORKS.some(preset => preset.name === trimmed)) {
+    throw new Error(`"${trimmed}" is a built-in preset; choose another name`);
+  }
+
+  // Ids are reassigned on load, so they are not stored
+  const network = {
+    name: trimmed,
+    stations: stations.map(({ id, ...station }) => station),
+    savedAt: new Date().toISOString()
+  };
+  const networks = loadSavedNetworks().filter(saved => saved.name !== trimmed).concat(network);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(networks));
+  return networks;
+}
+
+/**
+ * Remove a saved network
+ * @param {string} name - Network name
+ * @returns {Array} - Updated list of saved networks
+ */
+export function deleteSavedNetwork(name) {
+  const networks = loadSavedNetworks().filter(saved => saved.name !== name);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(networks));
+  return networks;
+}
+
+/**
+ * Turn a preset or saved network into fresh station objects
+ * @param {object} network - { stations: [{ name, lat, lng, ... }] }
+ * @returns {Array} - Stations with new ids and defaults for missing settings
+ */
+export function instantiateNetwork(network) {
+  return network.stations.map(station => createStation(station));
+}
@@ -0,0 +1,70 @@
+import { DEFAULT_MIN_ELEVATION } from './visibility.js';
+import { DEFAULT_LASER_CONFIG } from './laserConfigs.js';
+
+/**
+ * Ground Station Records
+ * Creation and validation of the station objects shared by the map, the
+ * station editor and the campaign simulation
+ */
+
+let lastId = 0;
+
+/**
+ * Unique station id; Date.now() alone collides when stations are created in a batch
+ * @returns {number}
+ */
+function nextStationId() {
+  lastId = Math.max(lastId + 1, Date.now());
+  return lastId;
+}
+
+/**
+ * Build a station with default settings
+ * @param {object} fields - At least { lat, lng }; any other station field overrides the default
+ * @returns {object} - { id, name, lat, lng, altitude (km), minElevation (deg), active, laserConfig, horizonMask, clearSky, noFireZones }
+ *   where a null clearSky uses the bundled climatology
+ */
+export function createStation(fields) {
+  return {
+    id: nextStationId(),
+    name: `Station ${Math.floor(fields.lat)}°`,
+    altitude: 0, // km
+    minElevation: DEFAULT_MIN_ELEVATION,
+    active: true,
+    laserConfig: DEFAULT_LASER_CONFIG,
+    horizonMask: null,
+    clearSky: null, // 12 monthly clear-night probabilities
+    noFireZones: null, // Airspace exclusion volumes from parseNoFireZones
+    ...fields
+  };
+}
+
+/**
+ * Check edited station coordinates and settings
+ * @param {object} station - Station fields to check
+ * @returns {string|null} - Problem description, or null when valid
+ */
+export function validateStation(station) {
+  if (!Number.isFinite(station.lat) || station.lat < -90 || station.lat > 90) {
+    return 'Latitude must be between -90° and 90°';
+  }
+  if (!Number.isFinite(station.lng) || station.lng < -180 || station.lng > 180) {
+    return 'Longitude must be between -180° and 180°';
+  }
+  if (!Number.isFinite(station.altitude) || station.altitude < -0.5 || station.altitude > 9) {
+    return 'Altitude must be between -500 m and 9000 m';
+  }
+  if (!Number.isFinite(station.minElevation) || station.minElevation < 0 || station.minElevation >= 90) {
+    return 'Minimum elevation must be between 0° and 90°';
+  }
+  return null;
+}
+
+/**
+ * Wrap a longitude into [-180, 180), e.g. after dragging a marker across the antimeridian
+ * @param {number} lng - Degrees
+ * @returns {number}
+ */
+export function normalizeLongitude(lng) {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
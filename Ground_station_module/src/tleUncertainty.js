@@ -0,0 +1,76 @@
+import { getTleEpoch } from './scenarioClock.js';
+import { orbitRegimeOf } from './tleValidation.js';
+
+/**
+ * TLE Prediction Uncertainty
+ * Rough 1-sigma in-track position error of SGP4 predictions as a function of
+ * the time since the TLE epoch and the orbit regime, compared with the laser
+ * spot at the target to judge whether open-loop pointing from the TLE alone
+ * would put the target in the beam.
+ */
+
+const MS_PER_DAY = 86400 * 1000;
+
+// In-track 1σ growth by regime: km at epoch, km per day, km per day².
+// Drag makes low orbits grow quadratically; higher orbits mostly drift linearly.
+const IN_TRACK_GROWTH = {
+  LEO: { atEpoch: 1.0, perDay: 1.5, perDaySquared: 0.2 },
+  MEO: { atEpoch: 1.0, perDay: 0.5, perDaySquared: 0.01 },
+  GEO: { atEpoch: 2.0, perDay: 0.3, perDaySquared: 0 },
+  HEO: { atEpoch: 2.0, perDay: 2.0, perDaySquared: 0.05 }
+};
+
+/**
+ * Time between a TLE's epoch and a prediction time
+ * @param {string} tle1 - First line of TLE data
+ * @param {Date} time - Prediction time
+ * @returns {number} - Days, negative when predicting before the epoch
+ */
+export function tleAgeDays(tle1, time) {
+  return (new Date(time).getTime() - getTleEpoch(tle1).getTime()) / MS_PER_DAY;
+}
+
+/**
+ * In-track position uncertainty of an SGP4 prediction. Errors grow the same
+ * way propagating backwards from the epoch as forwards.
+ * @param {string} tle1 - First line of TLE data
+ * @param {string} tle2 - Second line of TLE data
+ * @param {Date} time - Prediction time
+ * @returns {number} - 1σ in-track error in km
+ */
+export function inTrackUncertainty(tle1, tle2, time) {
+  const growth = IN_TRACK_GROWTH[orbitRegimeOf(tle2)] || IN_TRACK_GROWTH.GEO;
+  const days = Math.abs(tleAgeDays(tle1, time));
+  return growth.atEpoch + growth.perDay * days + growth.perDaySquared * days * days;
+}
+
+/**
+ * Radius of the laser spot at a slant range, with the same beam spread used
+ * for fluence
+ * @param {number} range - Slant range in km
+ * @param {object} laser - Laser configuration
+ * @returns {number} - Spot radius in km
+ */
+export function beamSpotRadius(range, laser) {
+  const divergence = (laser.BEAM_QUALITY * laser.WAVELENGTH) / (Math.PI * (laser.TRANSMITTER_DIAMETER / 2));
+  return (laser.TRANSMITTER_DIAMETER / 2 + range * 1000 * divergence) / 1000;
+}
+
+/**
+ * TLE age, in-track uncertainty and acquisition risk of a pass: the risk is
+ * flagged when the uncertainty at closest approach exceeds the beam spot there
+ * @param {object} debris - Target with tle1 and tle2
+ * @param {object} pass - Pass with tca: { time, range (km) }
+ * @param {object} laser - Laser configuration of the pass's station
+ * @returns {object} - { tleAgeDays, inTrackUncertainty (km), beamSpotRadius (km), acquisitionRisk }
+ */
+export function assessAcquisition(debris, pass, laser) {
+  const uncertainty = inTrackUncertainty(debris.tle1, debris.tle2, pass.tca.time);
+  const spot = beamSpotRadius(pass.tca.range, laser);
+  return {
+    tleAgeDays: tleAgeDays(debris.tle1, pass.tca.time),
+    inTrackUncertainty: uncertainty,
+    beamSpotRadius: spot,
+    acquisitionRisk: uncertainty > spot
+  };
+}
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tleAgeDays, inTrackUncertainty, beamSpotRadius, assessAcquisition } from './tleUncertainty.js';
+import { runCampaign } from './campaign.js';
+import { getTleEpoch } from './scenarioClock.js';
+import { createStation } from './stations.js';
+import { tleChecksum } from './tleValidation.js';
+import { LASER_CONFIGS } from './laserConfigs.js';
+
+const MS_PER_DAY = 86400 * 1000;
+
+// An 800 km sun-synchronous LEO object, checksums computed
+const withChecksum = (line) => `${line.slice(0, 68)}${tleChecksum(line)}`;
+const debris = {
+  id: 1,
+  name: 'Test Fragment',
+  size: 0.3,
+  mass: 5,
+  material: 'ALUMINUM',
+  areaToMass: 0.03,
+  tle1: withChecksum('1 32345U 07006A   23320.50000000  .00000987  00000-0  98765-4 0  9990'),
+  tle2: withChecksum('2 32345  98.7654 234.5678 0023456  67.8901 292.3456 14.12345678234560')
+};
+const epoch = getTleEpoch(debris.tle1);
+
+// A pass at closest approach some days after the TLE epoch
+function passAt(days, range) {
+  return { tca: { time: new Date(epoch.getTime() + days * MS_PER_DAY), range } };
+}
+
+test('in-track uncertainty grows with TLE age either side of the epoch', () => {
+  assert.equal(tleAgeDays(debris.tle1, passAt(-2, 800).tca.time), -2);
+  // LEO: 1 km at epoch, 1.5 km/day and 0.2 km/day²
+  assert.equal(inTrackUncertainty(debris.tle1, debris.tle2, epoch), 1);
+  assert.equal(inTrackUncertainty(debris.tle1, debris.tle2, passAt(10, 800).tca.time), 36);
+  assert.equal(
+    inTrackUncertainty(debris.tle1, debris.tle2, passAt(-3, 800).tca.time),
+    inTrackUncertainty(debris.tle1, debris.tle2, passAt(3, 800).tca.time)
+  );
+});
+
+test('a pass is an acquisition risk when the uncertainty exceeds the beam spot', () => {
+  // The bundled lasers focus to a few metres, well inside the 1 km uncertainty at epoch
+  Object.values(LASER_CONFIGS).forEach(laser => {
+    const acquisition = assessAcquisition(debris, passAt(0, 1000), laser);
+    assert.ok(acquisition.beamSpotRadius < 0.01);
+    assert.equal(acquisition.acquisitionRisk, true);
+  });
+});
+
+test('a pass is not an acquisition risk when the beam spot covers the uncertainty', () => {
+  const wideBeam = { ...LASER_CONFIGS.baseline, BEAM_QUALITY: 10000 };
+  const fresh = assessAcquisition(debris, passAt(0.25, 1000), wideBeam);
+  assert.ok(fresh.inTrackUncertainty < beamSpotRadius(1000, wideBeam));
+  assert.equal(fresh.acquisitionRisk, false);
+  // The same beam no longer covers a TLE ten days old
+  assert.equal(assessAcquisition(debris, passAt(10, 1000), wideBeam).acquisitionRisk, true);
+});
+
+test('the fresh-TLE requirement leaves passes beyond the age limit uncounted', () => {
+  const request = {
+    debris,
+    stations: [createStation({ lat: 40.65, lng: 16.7 }), createStation({ lat: -31.3, lng: 149.1 })],
+    scenario: { startEpoch: epoch, horizonDays: 6 },
+    weatherTrials: 0
+  };
+
+  const all = runCampaign(request);
+  assert.equal(all.staleTlePasses, 0);
+
+  const fresh = runCampaign({ ...request, maxTleAgeDays: 3 });
+  assert.ok(fresh.staleTlePasses > 0);
+  assert.equal(fresh.engageablePasses, all.engageablePasses);
+  fresh.passDetails.forEach(detail => assert.ok(Math.abs(detail.acquisition.tleAgeDays) <= 3));
+
+  assert.throws(() => runCampaign({ ...request, maxTleAgeDays: 0.001 }), /within 0.001 days of the TLE epoch/);
+});
@@ -0,0 +1,252 @@
+import * as satellite from 'satellite.js';
+import { getTleEpoch } from './scenarioClock.js';
+
+/**
+ * TLE Validation
+ * Strict checks of two-line element sets before they reach SGP4: line layout,
+ * checksums, field formats and physical ranges, the SGP4 initialisation
+ * itself and the age of the epoch relative to the scenario. Problems are
+ * returned as readable messages rather than thrown, so a planner can list
+ * them per object.
+ */
+
+const MS_PER_DAY = 86400 * 1000;
+const LINE_LENGTH = 69;
+export const TLE_STALE_DAYS = 7; // Beyond this, LEO in-track errors grow to kilometres
+export const TLE_EXPIRED_DAYS = 30; // Beyond this, SGP4 predictions are not usable for pointing
+const MAX_MEAN_MOTION = 17; // rev/day; faster orbits would be below the surface
+const MIN_LEO_MEAN_MOTION = 11.25; // rev/day; slower orbits are above ~2000 km
+
+// Mean motion (rev/day) and eccentricity bounds of each regime; the first match wins
+export const ORBIT_REGIME = {
+  LEO: { label: 'Low Earth orbit', meanMotion: [MIN_LEO_MEAN_MOTION, MAX_MEAN_MOTION], eccentricity: [0, 0.25] },
+  MEO: { label: 'Medium Earth orbit', meanMotion: [1.01, MIN_LEO_MEAN_MOTION], eccentricity: [0, 0.25] },
+  GEO: { label: 'Geosynchronous', meanMotion: [0.99, 1.01], eccentricity: [0, 0.25] },
+  HEO: { label: 'Highly elliptical', meanMotion: [0, MAX_MEAN_MOTION], eccentricity: [0.25, 1] }
+};
+
+/**
+ * Orbit regime of a two-line element set
+ * @param {string} tle2 - Second line of TLE data
+ * @returns {string|null} - ORBIT_REGIME key, or null beyond geosynchronous orbit
+ */
+export function orbitRegimeOf(tle2) {
+  const meanMotion = parseFloat(tle2.substring(52, 63));
+  const eccentricity = Number(`0.${tle2.substring(26, 33)}`);
+  const within = (value, [min, max]) => value >= min && value <= max;
+  return Object.keys(ORBIT_REGIME).find(regime =>
+    within(meanMotion, ORBIT_REGIME[regime].meanMotion) && within(eccentricity, ORBIT_REGIME[regime].eccentricity)) || null;
+}
+
+// Columns (1-based) that must be blank in each line
+const BLANK_COLUMNS = {
+  1: [2, 9, 18, 33, 44, 53, 62, 64],
+  2: [2, 8, 17, 26, 34, 43, 52]
+};
+
+// Readable causes of satellite.js SatRecError codes
+const SGP4_ERRORS = {
+  1: 'mean eccentricity is outside 0 ≤ e < 1',
+  2: 'mean motion has fallen below zero',
+  3: 'perturbed eccentricity is outside 0 ≤ e < 1',
+  4: 'semi-latus rectum has fallen below zero',
+  5: 'epoch elements are sub-orbital',
+  6: 'the orbit has decayed'
+};
+
+/**
+ * Readable description of an SGP4 error code
+ * @param {number} code - satrec.error after initialisation or propagation
+ * @returns {string}
+ */
+export function sgp4ErrorMessage(code) {
+  return SGP4_ERRORS[code] || `SGP4 error ${code}`;
+}
+
+/**
+ * Modulo-10 checksum of a TLE line: digits count their value, minus signs count 1
+ * @param {string} line - TLE line (the first 68 characters are summed)
+ * @returns {number}
+ */
+export function tleChecksum(line) {
+  let sum = 0;
+  for (const character of line.slice(0, LINE_LENGTH - 1)) {
+    if (character >= '0' && character <= '9') sum += Number(character);
+    else if (character === '-') sum += 1;
+  }
+  return sum % 10;
+}
+
+// Columns are 1-based and inclusive, as in the format definition
+function field(line, first, last) {
+  return line.substring(first - 1, last);
+}
+
+/**
+ * Check one line's layout: length, line number, blank columns and checksum
+ * @returns {Array} - Error messages
+ */
+function checkLayout(line, lineNumber) {
+  const errors = [];
+  if (line.length !== LINE_LENGTH) {
+    errors.push(`Line ${lineNumber} has ${line.length} characters, expected ${LINE_LENGTH}`);
+    return errors;
+  }
+  if (line[0] !== String(lineNumber)) {
+    errors.push(`Line ${lineNumber} must start with "${lineNumber}", found "${line[0]}"`);
+  }
+  const misplaced = BLANK_COLUMNS[lineNumber].filter(column => line[column - 1] !== ' ');
+  if (misplaced.length > 0) {
+    errors.push(`Line ${lineNumber} columns are shifted: column ${misplaced.join(', ')} should be blank`);
+  }
+  const checksum = line[LINE_LENGTH - 1];
+  if (!/\d/.test(checksum)) {
+    errors.push(`Line ${lineNumber} checksum "${checksum}" is not a digit`);
+  } else if (Number(checksum) !== tleChecksum(line)) {
+    errors.push(`Line ${lineNumber} checksum is ${checksum}, computed ${tleChecksum(line)}`);
+  }
+  return errors;
+}
+
+/**
+ * Parse a fixed-point field, failing on anything that is not a plain number
+ * @returns {number} - NaN when malformed
+ */
+function decimalField(text) {
+  return /^\s*[+-]?(\d+\.?\d*|\.\d+)\s*$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Check the fields of both lines against their formats and physical ranges
+ * @returns {object} - { errors, warnings }
+ */
+function checkFields(tle1, tle2) {
+  const errors = [];
+  const warnings = [];
+
+  const catalogNumber1 = field(tle1, 3, 7);
+  const catalogNumber2 = field(tle2, 3, 7);
+  // Alpha-5 numbering puts a letter in the first column above 99999
+  if (!/^[A-Z\d ][\d ]{3}\d$/.test(catalogNumber1)) {
+    errors.push(`Catalog number "${catalogNumber1}" is malformed`);
+  }
+  if (catalogNumber1 !== catalogNumber2) {
+    errors.push(`Catalog numbers differ between lines (${catalogNumber1.trim()} and ${catalogNumber2.trim()})`);
+  }
+  if (!'UCS'.includes(tle1[7])) {
+    errors.push(`Classification "${tle1[7]}" must be U, C or S`);
+  }
+
+  const epochDay = decimalField(field(tle1, 21, 32));
+  if (!/^\d\d$/.test(field(tle1, 19, 20))) {
+    errors.push(`Epoch year "${field(tle1, 19, 20)}" is not two digits`);
+  }
+  if (!(epochDay >= 1 && epochDay < 367)) {
+    errors.push(`Epoch day of year "${field(tle1, 21, 32).trim()}" must be between 1 and 366`);
+  }
+  if (Number.isNaN(decimalField(field(tle1, 34, 43)))) {
+    errors.push(`First derivative of mean motion "${field(tle1, 34, 43).trim()}" is malformed`);
+  }
+  // Implied-decimal exponent fields such as " 12345-3"
+  [['Second derivative of mean motion', field(tle1, 45, 52)], ['BSTAR drag term', field(tle1, 54, 61)]]
+    .forEach(([label, text]) => {
+      if (!/^[ +-]\d{5}[+-]\d$/.test(text)) errors.push(`${label} "${text.trim()}" is malformed`);
+    });
+  if (tle1[62] !== '0' && tle1[62] !== ' ') {
+    warnings.push(`Ephemeris type ${tle1[62]} is not SGP4; it is propagated as SGP4 anyway`);
+  }
+
+  const angles = [
+    ['Inclination', field(tle2, 9, 16), 0, 180, true],
+    ['Right ascension of the ascending node', field(tle2, 18, 25), 0, 360, false],
+    ['Argument of perigee', field(tle2, 35, 42), 0, 360, false],
+    ['Mean anomaly', field(tle2, 44, 51), 0, 360, false]
+  ];
+  angles.forEach(([label, text, min, max, inclusive]) => {
+    const value = decimalField(text);
+    if (Number.isNaN(value)) {
+      errors.push(`${label} "${text.trim()}" is not a number`);
+    } else if (value < min || value > max || (!inclusive && value === max)) {
+      errors.push(`${label} ${value}° is outside ${min}°–${max}°`);
+    }
+  });
+
+  const eccentricity = field(tle2, 27, 33);
+  if (!/^\d{7}$/.test(eccentricity)) {
+    errors.push(`Eccentricity "${eccentricity.trim()}" must be seven digits with an implied leading decimal point`);
+  }
+
+  const meanMotion = decimalField(field(tle2, 53, 63));
+  if (Number.isNaN(meanMotion)) {
+    errors.push(`Mean motion "${field(tle2, 53, 63).trim()}" is not a number`);
+  } else if (meanMotion <= 0 || meanMotion > MAX_MEAN_MOTION) {
+    errors.push(`Mean motion ${meanMotion} rev/day is outside 0–${MAX_MEAN_MOTION} rev/day`);
+  } else if (meanMotion < MIN_LEO_MEAN_MOTION) {
+    warnings.push(`Mean motion ${meanMotion} rev/day is not a low Earth orbit; ground lasers cannot reach it`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Validate a two-line element set for use in a scenario. A line of the wrong
+ * length stops further checks, since its fields cannot be located reliably.
+ * @param {string} tle1 - First line of TLE data
+ * @param {string} tle2 - Second line of TLE data
+ * @param {object} options - { referenceDate: scenario start, against which the epoch age is judged }
+ * @returns {object} - { valid, errors: [string], warnings: [string], epoch: Date|null, ageDays }
+ *   where ageDays is the scenario start minus the epoch (negative when the epoch is later)
+ */
+export function validateTle(tle1, tle2, { referenceDate = null } = {}) {
+  const line1 = (tle1 || '').trimEnd();
+  const line2 = (tle2 || '').trimEnd();
+  const result = { valid: false, errors: [], warnings: [], epoch: null, ageDays: null };
+
+  result.errors.push(...checkLayout(line1, 1), ...checkLayout(line2, 2));
+  if (line1.length !== LINE_LENGTH || line2.length !== LINE_LENGTH) return result;
+
+  const fields = checkFields(line1, line2);
+  result.errors.push(...fields.errors);
+  result.warnings.push(...fields.warnings);
+  if (result.errors.length > 0) return result;
+
+  const satrec = satellite.twoline2satrec(line1, line2);
+  if (satrec.error) {
+    result.errors.push(`SGP4 rejects the elements: ${sgp4ErrorMessage(satrec.error)}`);
+    return result;
+  }
+
+  result.epoch = getTleEpoch(line1);
+  if (referenceDate) {
+    const reference = new Date(referenceDate);
+    result.ageDays = (reference.getTime() - result.epoch.getTime()) / MS_PER_DAY;
+    const age = Math.abs(result.ageDays);
+    const direction = result.ageDays >= 0 ? 'before' : 'after';
+    if (age > TLE_EXPIRED_DAYS) {
+      result.warnings.push(`Epoch is ${age.toFixed(0)} days ${direction} the scenario start; predictions will not match the real object`);
+    } else if (age > TLE_STALE_DAYS) {
+      result.warnings.push(`Epoch is ${age.toFixed(1)} days ${direction} the scenario start; expect kilometre-level pointing errors`);
+    }
+    if (!satellite.propagate(satrec, reference)) {
+      result.errors.push(`SGP4 cannot propagate to the scenario start: ${sgp4ErrorMessage(satrec.error)}`);
+    }
+  }
+
+  result.valid = result.errors.length === 0;
+  return result;
+}
+
+/**
+ * Validate a debris object and format its problems for the user
+ * @param {object} debris - Catalog entry with name, tle1 and tle2
+ * @param {Date} referenceDate - Scenario start
+ * @returns {object} - Result of validateTle
+ * @throws {Error} - Listing every error when the TLE is invalid
+ */
+export function assertValidTle(debris, referenceDate) {
+  const validation = validateTle(debris.tle1, debris.tle2, { referenceDate });
+  if (!validation.valid) {
+    throw new Error(`${debris.name} has an invalid TLE:\n- ${validation.errors.join('\n- ')}`);
+  }
+  return validation;
+}
@@ -0,0 +1,343 @@
+import * as satellite from 'satellite.js';
+import { opticalConditions, classifyPass, PASS_ILLUMINATION } from './illumination.js';
+import { elevationLimitAt } from './horizonMask.js';
+import { sgp4ErrorMessage } from './tleValidation.js';
+
+/**
+ * Pass Prediction Engine
+ * Coarse SGP4 stepping with root-finding on the elevation threshold crossings
+ * (AOS/LOS) and on the elevation maximum (TCA)
+ */
+
+// Search settings
+export const COARSE_STEP_SECONDS = 60; // Step used to bracket passes
+const TIME_TOLERANCE_MS = 10; // Root-finding stops once the bracket is this narrow
+const MIN_PASS_DURATION_SECONDS = 30; // Shorter passes are not worth engaging
+export const DEFAULT_MIN_ELEVATION = 20; // Laser minimum elevation in degrees
+const PROFILE_STEP_SECONDS = 1; // Engagement geometry sample spacing
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+const EARTH_ROTATION_RATE = 7.292115e-5; // rad/s
+
+/**
+ * Compute topocentric look angles and range-rate from a station to the satellite
+ * @param {object} satrec - Initialised SGP4 record
+ * @param {object} observerGd - Station geodetic position { latitude, longitude (rad), height (km) }
+ * @param {number} timeMs - Epoch in milliseconds since 1970
+ * @returns {object|null} - { azimuth, elevation (deg), range (km), rangeRate (km/s), positionEci (km) } or null if propagation failed
+ */
+function lookAnglesAt(satrec, observerGd, timeMs) {
+  const time = new Date(timeMs);
+  const positionAndVelocity = satellite.propagate(satrec, time);
+  if (!positionAndVelocity || !positionAndVelocity.position) return null;
+
+  const gmst = satellite.gstime(time);
+  const positionEcf = satellite.eciToEcf(positionAndVelocity.position, gmst);
+  const lookAngles = satellite.ecfToLookAngles(observerGd, positionEcf);
+
+  // Earth-fixed velocity: rotate the inertial velocity, then remove the frame rotation (ω × r)
+  const rotatedVelocity = satellite.eciToEcf(positionAndVelocity.velocity, gmst);
+  const velocityEcf = {
+    x: rotatedVelocity.x + EARTH_ROTATION_RATE * positionEcf.y,
+    y: rotatedVelocity.y - EARTH_ROTATION_RATE * positionEcf.x,
+    z: rotatedVelocity.z
+  };
+
+  // Range-rate is the line-of-sight component of the relative velocity
+  const observerEcf = satellite.geodeticToEcf(observerGd);
+  const dx = positionEcf.x - observerEcf.x;
+  const dy = positionEcf.y - observerEcf.y;
+  const dz = positionEcf.z - observerEcf.z;
+  const rangeRate = (dx * velocityEcf.x + dy * velocityEcf.y + dz * velocityEcf.z) / lookAngles.rangeSat;
+
+  return {
+    azimuth: satellite.radiansToDegrees(lookAngles.azimuth),
+    elevation: satellite.radiansToDegrees(lookAngles.elevation),
+    range: lookAngles.rangeSat,
+    rangeRate,
+    positionEci: positionAndVelocity.position
+  };
+}
+
+/**
+ * Bisect the instant where a quantity crosses a threshold
+ * @param {function} valueAt - (timeMs) => value, e.g. clearance above the horizon mask in degrees
+ * @param {number} belowMs - Time at which the value is below the threshold
+ * @param {number} aboveMs - Time at which the value is above the threshold
+ * @param {number} threshold - Threshold in the same units as valueAt
+ * @returns {number} - Crossing time in milliseconds
+ */
+function bisectCrossing(valueAt, belowMs, aboveMs, threshold) {
+  let below = belowMs;
+  let above = aboveMs;
+  while (Math.abs(above - below) > TIME_TOLERANCE_MS) {
+    const mid = (below + above) / 2;
+    if (valueAt(mid) > threshold) {
+      above = mid;
+    } else {
+      below = mid;
+    }
+  }
+  return above;
+}
+
+/**
+ * Golden-section search for the elevation maximum inside a bracket
+ * @param {function} elevationAt - (timeMs) => elevation in degrees
+ * @param {number} startMs - Bracket start in milliseconds
+ * @param {number} endMs - Bracket end in milliseconds
+ * @returns {number} - Time of maximum elevation in milliseconds
+ */
+function findElevationPeak(elevationAt, startMs, endMs) {
+  let a = startMs;
+  let b = endMs;
+  let c = b - GOLDEN_RATIO * (b - a);
+  let d = a + GOLDEN_RATIO * (b - a);
+  let fc = elevationAt(c);
+  let fd = elevationAt(d);
+
+  while (b - a > TIME_TOLERANCE_MS) {
+    if (fc > fd) {
+      b = d;
+      d = c;
+      fd = fc;
+      c = b - GOLDEN_RATIO * (b - a);
+      fc = elevationAt(c);
+    } else {
+      a = c;
+      c = d;
+      fc = fd;
+      d = a + GOLDEN_RATIO * (b - a);
+      fd = elevationAt(d);
+    }
+  }
+  return (a + b) / 2;
+}
+
+/**
+ * Package the look angles at a pass event
+ * @param {number} timeMs - Event time in milliseconds
+ * @param {object} look - Look angles at that time
+ * @returns {object} - { time, azimuth, elevation, range, rangeRate }
+ */
+function passEvent(timeMs, look) {
+  return {
+    time: new Date(timeMs),
+    azimuth: look.azimuth,
+    elevation: look.elevation,
+    range: look.range,
+    rangeRate: look.rangeRate
+  };
+}
+
+/**
+ * Sample the engagement geometry and optical conditions between AOS and LOS
+ * @param {function} lookAt - (timeMs) => look angles
+ * @param {object} observerGd - Station geodetic position
+ * @param {function} limitAt - (azimuth) => station elevation limit in degrees
+ * @param {number} aosMs - Pass start in milliseconds
+ * @param {number} losMs - Pass end in milliseconds
+ * @returns {Array} - [{ time, azimuth, elevation, range (km), rangeRate (km/s), elevationLimit, aboveMask,
+ *                    sunElevation, shadow, stationDark, targetSunlit, engageable }], LOS included as the final sample
+ */
+function sampleEngagementProfile(lookAt, observerGd, limitAt, aosMs, losMs) {
+  const profile = [];
+  const stepMs = PROFILE_STEP_SECONDS * 1000;
+  const addSample = (timeMs) => {
+    const look = lookAt(timeMs);
+    if (!look) return;
+    const time = new Date(timeMs);
+    const elevationLimit = limitAt(look.azimuth);
+    const aboveMask = look.elevation >= elevationLimit;
+    const optical = opticalConditions(observerGd, look.positionEci, time);
+    profile.push({
+      time,
+      azimuth: look.azimuth,
+      elevation: look.elevation,
+      range: look.range,
+      rangeRate: look.rangeRate,
+      elevationLimit,
+      aboveMask,
+      ...optical,
+      engageable: optical.engageable && aboveMask
+    });
+  };
+
+  for (let timeMs = aosMs; timeMs < losMs; timeMs += stepMs) {
+    addSample(timeMs);
+  }
+  addSample(losMs);
+  return profile;
+}
+
+/**
+ * Total time within a profile that satisfies the optical conditions
+ * @param {Array} profile - Samples from sampleEngagementProfile
+ * @returns {number} - Seconds
+ */
+function engageableSeconds(profile) {
+  let seconds = 0;
+  for (let i = 0; i < profile.length - 1; i++) {
+    if (profile[i].engageable) seconds += (profile[i + 1].time - profile[i].time) / 1000;
+  }
+  return seconds;
+}
+
+/**
+ * Scan a time window for passes. The scan can be resumed: resumeMs is a grid
+ * point at which no pass is in progress, so scanning on from it gives exactly
+ * the passes a single longer scan would have found. Propagation failing part
+ * way (typically SGP4 reporting decay) ends the scan at that point.
+ * @param {object} station - { lat, lng, altitude (km), minElevation, horizonMask }
+ * @param {string} tleLine1 - First line of TLE data
+ * @param {string} tleLine2 - Second line of TLE data
+ * @param {number} startMs - Window start in milliseconds (first grid point)
+ * @param {number} endMs - Window end in milliseconds (exclusive)
+ * @param {number} minElevation - Minimum angle in degrees
+ * @param {function} onDayComplete - Optional (daysDone) callback, days counted from startMs
+ * @returns {object} - { passes, resumeMs, propagationFailure: { time, message } or null }
+ * @throws {Error} - When SGP4 cannot initialise from the elements
+ */
+export function scanPasses(station, tleLine1, tleLine2, startMs, endMs, minElevation = DEFAULT_MIN_ELEVATION, onDayComplete) {
+  const satrec = satellite.twoline2satrec(tleLine1, tleLine2);
+  if (satrec.error) {
+    throw new Error(`SGP4 rejects the elements: ${sgp4ErrorMessage(satrec.error)}`);
+  }
+  const passes = [];
+  let propagationFailure = null;
+
+  // Convert station lat/lng to radians for satellite.js
+  const positionGd = {
+    latitude: satellite.degreesToRadians(station.lat),
+    longitude: satellite.degreesToRadians(station.lng),
+    height: station.altitude || 0 // km above the ellipsoid
+  };
+
+  const lookAt = (timeMs) => lookAnglesAt(satrec, positionGd, timeMs);
+  const limitAt = (azimuth) => elevationLimitAt(station, minElevation, azimuth);
+  const elevationAt = (timeMs) => {
+    const look = lookAt(timeMs);
+    return look ? look.elevation : -90;
+  };
+  // Degrees above the station's elevation limit in the current look direction
+  const clearanceAt = (timeMs) => {
+    const look = lookAt(timeMs);
+    return look ? look.elevation - limitAt(look.azimuth) : -180;
+  };
+
+  const stepMs = COARSE_STEP_SECONDS * 1000;
+  const dayMs = 86400 * 1000;
+
+  let previousMs = null;
+  let currentPass = null;
+  let resumeMs = startMs;
+  let daysDone = 0;
+
+  for (let timeMs = startMs; timeMs < endMs; timeMs += stepMs) {
+    if (onDayComplete && timeMs - startMs >= (daysDone + 1) * dayMs) {
+      daysDone++;
+      onDayComplete(daysDone);
+    }
+
+    const look = lookAt(timeMs);
+    if (!look) {
+      // Later times fail too once the orbit has decayed; a pass in progress is dropped
+      propagationFailure = { time: new Date(timeMs), message: sgp4ErrorMessage(satrec.error) };
+      break;
+    }
+    const elevationDeg = look.elevation;
+
+    if (elevationDeg > limitAt(look.azimuth)) {
+      if (!currentPass) {
+        // START OF PASS - refine AOS unless the window opens mid-pass
+        const aosMs = previousMs === null
+          ? timeMs
+          : bisectCrossing(clearanceAt, previousMs, timeMs, 0);
+        currentPass = { aosMs, peakMs: timeMs, peakElevation: elevationDeg };
+      } else if (elevationDeg > currentPass.peakElevation) {
+        // DURING PASS - remember the coarse sample nearest the peak
+        currentPass.peakMs = timeMs;
+        currentPass.peakElevation = elevationDeg;
+      }
+    } else {
+      if (currentPass) {
+        // END OF PASS - refine LOS and TCA
+        const losMs = bisectCrossing(clearanceAt, timeMs, previousMs, 0);
+        const duration = (losMs - currentPass.aosMs) / 1000; // seconds
+
+        // Only add if the pass was meaningful (e.g. > 30 seconds)
+        if (duration > MIN_PASS_DURATION_SECONDS) {
+          const tcaMs = findElevationPeak(
+            elevationAt,
+            Math.max(currentPass.aosMs, currentPass.peakMs - stepMs),
+            Math.min(losMs, currentPass.peakMs + stepMs)
+          );
+          const aos = passEvent(currentPass.aosMs, lookAt(currentPass.aosMs));
+          const tca = passEvent(tcaMs, lookAt(tcaMs));
+          const los = passEvent(losMs, lookAt(losMs));
+          const profile = sampleEngagementProfile(lookAt, positionGd, limitAt, currentPass.aosMs, losMs);
+          const illumination = classifyPass(profile);
+
+          passes.push({
+            startTime: aos.time,
+            endTime: los.time,
+            maxElevation: tca.elevation,
+            azimuthStart: aos.azimuth,
+            duration,
+            aos,
+            tca,
+            los,
+            profile,
+            illumination,
+            engageableDuration: illumination === PASS_ILLUMINATION.ENGAGEABLE ? engageableSeconds(profile) : 0
+          });
+        }
+        currentPass = null;
+      }
+      // Below the limit with no pass open: a later scan may resume here
+      resumeMs = timeMs;
+    }
+
+    previousMs = timeMs;
+  }
+
+  if (onDayComplete) onDayComplete(Math.ceil((endMs - startMs) / dayMs));
+  return { passes, resumeMs, propagationFailure };
+}
+
+/**
+ * Calculates precise visibility windows for a specific station and debris object.
+ * Passes are bracketed on a coarse time grid, then AOS/LOS are refined by bisection
+ * on the station's elevation limit (global minimum or horizon mask, whichever is higher)
+ * and TCA by a golden-section search on the elevation peak.
+ * Each pass is then classified for passive optical acquisition (dark station, sunlit target).
+ * @param {object} station - { lat: number, lng: number, altitude: number (km), minElevation: number (deg, overrides the argument), horizonMask: [{ azimuth, minElevation }] }
+ * @param {string} tleLine1 - First line of TLE data
+ * @param {string} tleLine2 - Second line of TLE data
+ * @param {object} clock - Scenario clock from createScenarioClock; passes are searched over [startEpoch, endEpoch)
+ * @param {number} minElevation - Minimum angle (degrees) required for laser usage (default 20)
+ * @param {function} onDayComplete - Optional (daysDone) callback, called once per simulated day
+ * @returns {Array} - List of pass objects { startTime, endTime, maxElevation, azimuthStart, duration, aos, tca, los,
+ *                    profile, illumination, engageableDuration } where aos/tca/los are
+ *                    { time, azimuth, elevation, range (km), rangeRate (km/s) }, profile is the per-second
+ *                    series of the same fields plus optical conditions, and illumination is one of PASS_ILLUMINATION
+ */
+export function calculateVisibilityWindows(station, tleLine1, tleLine2, clock, minElevation = DEFAULT_MIN_ELEVATION, onDayComplete) {
+  return scanPasses(station, tleLine1, tleLine2, clock.startMs, clock.endMs, minElevation, onDayComplete).passes;
+}
+
+/**
+ * Helper function to calculate all passes for multiple stations; inactive stations are skipped
+ * @param {Array} stations - Array of station objects with { lat, lng, altitude, active }
+ * @param {string} tle1 - First line of TLE data
+ * @param {string} tle2 - Second line of TLE data
+ * @param {object} clock - Scenario clock from createScenarioClock
+ * @returns {Array} - Sorted array of all passes
+ */
+export function getAllPasses(stations, tle1, tle2, clock) {
+  const allPasses = stations.filter(station => station.active !== false).flatMap(station =>
+    calculateVisibilityWindows(station, tle1, tle2, clock)
+  );
+  // Sort passes chronologically
+  allPasses.sort((a, b) => a.startTime - b.startTime);
+  return allPasses;
+}
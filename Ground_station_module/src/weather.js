@@ -0,0 +1,126 @@
+/**
+ * Station Weather
+ * Monthly clear-sky probabilities for optical stations, from a bundled zonal
+ * climatology or a table supplied per station, and the random draws that
+ * decide which station-nights are lost to cloud.
+ */
+
+const MS_PER_DAY = 86400 * 1000;
+
+export const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Offline climatology: fraction of clear nights by month (January first) for
+// northern-hemisphere latitude bands, from long-term zonal mean cloud cover.
+// Southern stations use the same band shifted by six months. Real sites vary
+// a lot within a band (mountain observatories are far clearer), so supply a
+// station's own table where it is known.
+const ZONAL_CLEAR_SKY = [
+  { maxLatitude: 15, months: [0.45, 0.45, 0.42, 0.38, 0.32, 0.28, 0.27, 0.28, 0.30, 0.34, 0.40, 0.44] },
+  { maxLatitude: 35, months: [0.55, 0.55, 0.56, 0.60, 0.62, 0.58, 0.50, 0.50, 0.58, 0.63, 0.60, 0.56] },
+  { maxLatitude: 50, months: [0.30, 0.33, 0.38, 0.42, 0.45, 0.50, 0.55, 0.55, 0.48, 0.40, 0.30, 0.28] },
+  { maxLatitude: 65, months: [0.22, 0.26, 0.32, 0.36, 0.38, 0.38, 0.38, 0.36, 0.32, 0.26, 0.22, 0.20] },
+  { maxLatitude: 90, months: [0.35, 0.38, 0.40, 0.36, 0.28, 0.24, 0.22, 0.22, 0.24, 0.28, 0.32, 0.34] }
+];
+
+/**
+ * Bundled monthly clear-sky probabilities for a latitude
+ * @param {number} lat - Degrees
+ * @returns {Array} - 12 probabilities, January first
+ */
+export function climatologyClearSky(lat) {
+  const band = ZONAL_CLEAR_SKY.find(zone => Math.abs(lat) <= zone.maxLatitude);
+  return lat >= 0 ? band.months : [...band.months.slice(6), ...band.months.slice(0, 6)];
+}
+
+/**
+ * Chance of a clear night at a station in the month of a date
+ * @param {object} station - Station with lat and an optional clearSky table
+ * @param {Date} date - Time of the pass
+ * @returns {number} - Probability between 0 and 1
+ */
+export function clearSkyProbability(station, date) {
+  const table = station.clearSky || climatologyClearSky(station.lat);
+  return table[date.getUTCMonth()];
+}
+
+/**
+ * Parse a monthly clear-sky table. Either twelve values in any layout, or one
+ * "month,probability" pair per line; values may be fractions (0-1) or
+ * percentages (0-100). Header rows, blank lines and # comments are skipped.
+ * @param {string} text - CSV contents
+ * @returns {Array} - 12 probabilities, January first
+ */
+export function parseClearSkyCsv(text) {
+  const values = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const fields = line.split(/[,;\t]/).map(field => field.trim()).filter(Boolean);
+    const numbers = fields.map(parseFloat);
+    if (numbers.some(Number.isNaN)) {
+      // "Jan,0.4" style rows name the month; anything else is a header
+      if (fields.length === 2 && !Number.isNaN(numbers[1])) {
+        values.push(numbers[1]);
+        return;
+      }
+      if (values.length === 0) return;
+      throw new Error(`Clear-sky table line ${index + 1}: expected numbers, got "${line}"`);
+    }
+    // A "month,probability" pair with a numeric month
+    values.push(...(fields.length === 2 && Number.isInteger(numbers[0]) && numbers[0] >= 1 && numbers[0] <= 12
+      ? [numbers[1]]
+      : numbers));
+  });
+
+  if (values.length !== 12) {
+    throw new Error(`Clear-sky table needs 12 monthly values, found ${values.length}`);
+  }
+  const percent = values.some(value => value > 1);
+  const table = values.map(value => (percent ? value / 100 : value));
+  if (table.some(value => value < 0 || value > 1)) {
+    throw new Error('Clear-sky probabilities must be between 0 and 1 (or 0% and 100%)');
+  }
+  return table;
+}
+
+/**
+ * Night a pass belongs to at a station: the local solar date of the evening
+ * it started on, so passes before and after local midnight share one draw
+ * @param {Date} date - Pass start
+ * @param {number} lng - Station longitude in degrees
+ * @returns {number} - Night index
+ */
+export function nightOf(date, lng) {
+  const localMs = date.getTime() + (lng / 360) * MS_PER_DAY;
+  return Math.floor((localMs - MS_PER_DAY / 2) / MS_PER_DAY);
+}
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so weather trials repeat
+ * exactly for the same scenario
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} - () => number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Value below which a fraction of sorted samples fall (nearest rank)
+ * @param {Array} sorted - Ascending numbers; Infinity for campaigns that never finish
+ * @param {number} fraction - e.g. 0.9 for P90
+ * @returns {number}
+ */
+export function percentile(sorted, fraction) {
+  const rank = Math.max(1, Math.ceil(fraction * sorted.length));
+  return sorted[rank - 1];
+}